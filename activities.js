@@ -0,0 +1,107 @@
+// EyeGuard Break Activities
+// Guided eye exercises shown in the break card, with timed steps that follow the break countdown.
+// Loaded by the background service worker (importScripts), the content script, the popup, the options page
+// and the offscreen document.
+
+// Text comes from the message catalogue: nameKey for the name, each step's key for its instruction.
+// A step's animation is drawn by the content script; seconds are its share of one round.
+const BREAK_ACTIVITIES = [
+    {
+        id: 'far-focus',
+        nameKey: 'activityFarFocus',
+        steps: [
+            { key: 'activityFarFocusFind', seconds: 5, animation: 'far' },
+            { key: 'activityFarFocusHold', seconds: 15, animation: 'far' }
+        ]
+    },
+    {
+        id: 'focus-shift',
+        nameKey: 'activityFocusShift',
+        steps: [
+            { key: 'activityFocusShiftNear', seconds: 5, animation: 'near' },
+            { key: 'activityFocusShiftFar', seconds: 5, animation: 'far' }
+        ]
+    },
+    {
+        id: 'figure-eight',
+        nameKey: 'activityFigureEight',
+        steps: [
+            { key: 'activityFigureEightTrace', seconds: 10, animation: 'figure-eight' },
+            { key: 'activityFigureEightReverse', seconds: 10, animation: 'figure-eight-reverse' }
+        ]
+    },
+    {
+        id: 'palming',
+        nameKey: 'activityPalming',
+        steps: [
+            { key: 'activityPalmingWarm', seconds: 5, animation: 'rest' },
+            { key: 'activityPalmingCover', seconds: 15, animation: 'palming' }
+        ]
+    },
+    {
+        id: 'blink-sets',
+        nameKey: 'activityBlinkSets',
+        steps: [
+            { key: 'activityBlinkSetsBlink', seconds: 10, animation: 'blink' },
+            { key: 'activityBlinkSetsRest', seconds: 5, animation: 'rest' }
+        ]
+    }
+];
+
+const ACTIVITY_IDS = BREAK_ACTIVITIES.map(activity => activity.id);
+
+const ACTIVITY_ORDERS = {
+    ROTATION: 'rotation', // Each break takes the next enabled activity
+    RANDOM: 'random'      // Any enabled activity other than the last one
+};
+
+function findActivity(id) {
+    return BREAK_ACTIVITIES.find(activity => activity.id === id) || null;
+}
+
+// Activity for the next break given the previous one; null when all are disabled
+function pickActivity(settings, previousId) {
+    const enabled = ACTIVITY_IDS.filter(id => (settings.breakActivities || []).includes(id));
+    if (enabled.length === 0) return null;
+    
+    if (settings.activityOrder === ACTIVITY_ORDERS.RANDOM) {
+        const choices = enabled.length > 1 ? enabled.filter(id => id !== previousId) : enabled;
+        return choices[Math.floor(Math.random() * choices.length)];
+    }
+    // Next enabled activity after the previous one in library order, wrapping around
+    const start = ACTIVITY_IDS.indexOf(previousId) + 1;
+    for (let i = 0; i < ACTIVITY_IDS.length; i++) {
+        const id = ACTIVITY_IDS[(start + i) % ACTIVITY_IDS.length];
+        if (enabled.includes(id)) return id;
+    }
+    return enabled[0];
+}
+
+// The step showing elapsedMs into a break of durationMs. Whole rounds are stretched or squeezed
+// to fill the break, so the last step always ends together with the countdown.
+function activityStepAt(activity, elapsedMs, durationMs) {
+    const roundMs = activity.steps.reduce((sum, step) => sum + step.seconds, 0) * 1000;
+    const rounds = Math.max(1, Math.round(durationMs / roundMs));
+    const scale = durationMs / (rounds * roundMs);
+    
+    let offset = Math.min(Math.max(elapsedMs, 0), durationMs - 1) % (roundMs * scale);
+    for (let index = 0; index < activity.steps.length; index++) {
+        const stepMs = activity.steps[index].seconds * 1000 * scale;
+        if (offset < stepMs) return { ...activity.steps[index], index };
+        offset -= stepMs;
+    }
+    const last = activity.steps.length - 1;
+    return { ...activity.steps[last], index: last };
+}
+
+// Returns a list of error messages
+function validateActivities(settings) {
+    const errors = [];
+    if (!Array.isArray(settings.breakActivities) || settings.breakActivities.some(id => !ACTIVITY_IDS.includes(id))) {
+        errors.push(i18n('errorActivitiesInvalid'));
+    }
+    if (!Object.values(ACTIVITY_ORDERS).includes(settings.activityOrder)) {
+        errors.push(i18n('errorActivityOrder'));
+    }
+    return errors;
+}
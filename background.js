@@ -1,57 +1,389 @@
 // EyeGuard Background Script (Service Worker)
 // Manages alarms, state, and message routing
 
-const DEFAULT_SETTINGS = {
-    enabled: true,
-    autoStart: true,
-    theme: "system",
-    proximityEnabled: true,
-    sensitivity: 1.5,
-    proximityPeriodSeconds: 30,
-    breaksEnabled: true,
-    breakIntervalMinutes: 20,
-    breakDurationSeconds: 20,
-    snoozeMinutes: 5
+importScripts('i18n.js', 'history.js', 'schedule.js', 'siterules.js', 'activities.js', 'camera.js', 'defaults.js');
+
+const BLINK_SAMPLE_PERIOD_MINUTES = 1; // One blink-counting burst per minute
+const BREAK_GRACE_MS = 60 * 1000; // A break not reported complete this long after its end is closed anyway
+const IDLE_DETECTION_SECONDS = 60; // No input for this long counts as stepping away
+const BREAK_DUE_TOLERANCE_MS = 1000; // A due alarm firing this early still triggers the reminder
+const BREAK_END_SLACK_MS = 5000; // Tabs get this long to report a finished countdown before the alarm ends the break
+const BREAK_NOTIFICATION_ID = 'eyeguard.break'; // Re-used so a newer break notification replaces the old one
+const CALIBRATION_NOTIFICATION_ID = 'eyeguard.calibration';
+const NOTIFICATION_ICON = 'icons/icon128.png';
+const CAMERA_BADGE_COLOR = '#dc2626'; // Toolbar badge while the camera is live
+const CAMERA_PAUSE_MAX_HOURS = 24; // Longest "camera off" the popup can ask for
+
+// Why a pending reminder is being held back
+const DEFER_REASONS = {
+    SITE: 'site',             // Focused tab's site rule defers breaks
+    CALL: 'call',             // Focused tab is using the camera or microphone
+    FULLSCREEN: 'fullscreen', // Focused tab is in fullscreen (video, slides)
+    VIDEO: 'video'            // Focused tab is playing a video
 };
 
-let activeMinutes = 0;
-let isBreakInProgress = false;
-let snoozedUntilMs = 0;
+// Break engine states, persisted in chrome.storage under "breakState"
+const BREAK_STATES = {
+    WORKING: 'working',
+    REMINDER_PENDING: 'reminder-pending',
+    ON_BREAK: 'on-break',
+    SNOOZED: 'snoozed',
+    PAUSED: 'paused'
+};
 
-// Keep service worker alive
-let keepAliveInterval;
+// 20-20-20 micro breaks and the optional longer stand-up break
+const BREAK_KINDS = {
+    MICRO: 'micro',
+    LONG: 'long'
+};
 
-// Initialize on install/startup
-chrome.runtime.onInstalled.addListener(async () => {
-    console.log('EyeGuard: Extension installed');
-    await chrome.storage.local.set({ activeMinutes: 0 });
-    await chrome.storage.local.set({ settings: DEFAULT_SETTINGS });
+// Strict mode: how a reminder is shown after 0, 1 and 2 or more snoozes in a row
+const ESCALATION_LEVELS = ['banner', 'overlay', 'blur'];
+
+// All times are wall-clock timestamps in ms, 0 when unset
+const DEFAULT_BREAK_STATE = {
+    status: BREAK_STATES.WORKING,
+    breakKind: BREAK_KINDS.MICRO, // Kind of the pending, current or snoozed break
+    workStartedAt: 0, // Start of the current active stretch, 0 while not counting
+    accumulatedActiveMs: 0, // Active time towards the next micro break before the current stretch
+    longAccumulatedActiveMs: 0, // Same, towards the next long break
+    nextBreakDueAt: 0, // When the next micro break is due if activity continues, 0 while not counting
+    nextLongBreakDueAt: 0, // Same for the next long break, 0 when long breaks are off
+    idleSince: 0,
+    reminderAt: 0,
+    deferredReason: null, // One of DEFER_REASONS while a pending reminder is held back
+    deferredSince: 0, // When the pending reminder was first held back
+    breakStartedAt: 0, // Start of the running break session shared by all tabs
+    breakEndsAt: 0,
+    voluntary: false, // The pending or running break was taken from the popup before it was due
+    activityId: null, // Guided activity of the running break, null for none
+    lastActivityId: null, // Most recent activity shown, so the rotation carries on from it
+    snoozedUntil: 0,
+    snoozeStreak: 0, // Snoozes and skips since the last completed break
+    dailyCounts: { day: '', snoozes: 0, skips: 0 }, // Snoozes and skips on that day
+    pausedReason: null, // 'disabled' or 'schedule' while paused
+    updatedAt: 0
+};
+
+// Stored settings merged over defaults, so newly added keys always have a value
+async function getSettings() {
+    const { settings } = await chrome.storage.local.get("settings");
+    return { ...DEFAULT_SETTINGS, ...settings };
+}
+
+// Whether a feature should run right now: master switch, feature toggle and working hours
+function isFeatureActive(settings, featureEnabled, now = Date.now()) {
+    return settings.enabled && featureEnabled && isWithinSchedule(settings, now);
+}
+
+function cameraFeaturesEnabled(settings) {
+    return settings.proximityEnabled || settings.postureEnabled || settings.blinkEnabled;
+}
+
+// Calibration baselines by camera, keyed by calibrationKey()
+async function getCalibrations() {
+    const { calibrations = {} } = await chrome.storage.local.get('calibrations');
+    return calibrations;
+}
+
+// Store or (with null) drop one camera's baseline
+async function setCalibration(cameraKey, calibrationData) {
+    const calibrations = await getCalibrations();
+    if (calibrationData) {
+        calibrations[cameraKey] = calibrationData;
+    } else {
+        delete calibrations[cameraKey];
+    }
+    await chrome.storage.local.set({ calibrations });
+}
+
+// A baseline saved before calibration was kept per camera was taken with the default camera
+async function migrateCalibrationData() {
+    const { calibrationData } = await chrome.storage.local.get('calibrationData');
+    if (!calibrationData) return;
+    
+    const calibrations = await getCalibrations();
+    if (!calibrations[DEFAULT_CAMERA_KEY]) {
+        await setCalibration(DEFAULT_CAMERA_KEY, calibrationData);
+    }
+    await chrome.storage.local.remove('calibrationData');
+    console.log('EyeGuard: Moved calibration to the default camera');
+}
+
+// When the popup's "camera off" ends, 0 when not paused. Kept outside the settings,
+// which the options page saves wholesale.
+async function getCameraPausedUntil() {
+    const { cameraPausedUntil = 0 } = await chrome.storage.local.get('cameraPausedUntil');
+    return cameraPausedUntil;
+}
+
+// Like isFeatureActive, but also off while the camera is paused from the popup
+async function isCameraFeatureActive(settings, featureEnabled, now = Date.now()) {
+    return isFeatureActive(settings, featureEnabled, now) && now >= await getCameraPausedUntil();
+}
+
+async function getBreakState() {
+    const { breakState } = await chrome.storage.local.get("breakState");
+    return { ...DEFAULT_BREAK_STATE, ...breakState };
+}
+
+// State updates are serialized so alarms and messages cannot overwrite each other
+let breakStateQueue = Promise.resolve();
+
+function updateBreakState(mutate) {
+    const run = breakStateQueue.then(async () => {
+        const current = await getBreakState();
+        const next = { ...current, ...(await mutate(current)), updatedAt: Date.now() };
+        await chrome.storage.local.set({ breakState: next });
+        if (next.status !== current.status) {
+            console.log('EyeGuard: Break state', current.status, '->', next.status);
+        }
+        await syncBreakAlarms(next);
+        if (next.status !== current.status || next.breakEndsAt !== current.breakEndsAt) {
+            // Not awaited: tabs answering slowly must not hold up the queue
+            broadcastBreakSession(next).catch((error) => {
+                console.error('EyeGuard: Failed to broadcast break session:', error);
+            });
+        }
+        return next;
+    });
+    breakStateQueue = run.catch((error) => {
+        console.error('EyeGuard: Break state update failed:', error);
+    });
+    return run;
+}
+
+// One-shot alarms for the exact break due time and snooze end follow the state
+async function syncBreakAlarms(state) {
+    const dueTimes = [state.nextBreakDueAt, state.nextLongBreakDueAt].filter(Boolean);
+    if (state.status === BREAK_STATES.WORKING && dueTimes.length > 0) {
+        await ensureAlarm('eyeguard.break.due', { when: Math.min(...dueTimes) });
+    } else {
+        await chrome.alarms.clear('eyeguard.break.due');
+    }
+    
+    if (state.status === BREAK_STATES.SNOOZED && state.snoozedUntil) {
+        await ensureAlarm('eyeguard.break.snooze', { when: state.snoozedUntil });
+    } else {
+        await chrome.alarms.clear('eyeguard.break.snooze');
+    }
+    
+    // Backstop for when no tab finishes the countdown (notification breaks, tabs closed)
+    if (state.status === BREAK_STATES.ON_BREAK && state.breakEndsAt) {
+        await ensureAlarm('eyeguard.break.end', { when: state.breakEndsAt + BREAK_END_SLACK_MS });
+    } else {
+        await chrome.alarms.clear('eyeguard.break.end');
+    }
+}
+
+// Every tab mirrors the one break session: all show the same countdown while it runs,
+// and close their overlay as soon as it is started, skipped or finished anywhere
+async function broadcastBreakSession(state) {
+    const settings = await getSettings();
+    if (settings.notificationsOnly) return;
+    await broadcastMessage({
+        type: "eyeguard.break.session",
+        status: state.status,
+        kind: state.breakKind,
+        startedAt: state.breakStartedAt,
+        endsAt: state.breakEndsAt,
+        message: breakMessage(settings, state.breakKind),
+        activity: state.status === BREAK_STATES.ON_BREAK ? state.activityId : null,
+        policy: breakPolicy(settings, state)
+    });
+}
+
+function breakIntervalMs(settings, kind) {
+    return (kind === BREAK_KINDS.LONG ? settings.longBreakIntervalMinutes : settings.breakIntervalMinutes) * 60 * 1000;
+}
+
+// Snooze and skip counts for today; the stored ones may be from an earlier day
+function countsForToday(state, now) {
+    const day = dayKey(now);
+    return state.dailyCounts?.day === day ? state.dailyCounts : { day, snoozes: 0, skips: 0 };
+}
+
+// Strict mode rules for the current reminder or break, sent along so tabs can show them; null when off.
+// A voluntary break was never due, so it has no skip delay and skipping it costs no budget.
+function breakPolicy(settings, state, now = Date.now()) {
+    if (!settings.strictMode || state.voluntary) return null;
+    return {
+        escalation: ESCALATION_LEVELS[Math.min(state.snoozeStreak, ESCALATION_LEVELS.length - 1)],
+        skipsLeft: Math.max(settings.dailySkipBudget - countsForToday(state, now).skips, 0),
+        skipDelaySeconds: settings.skipDelaySeconds
+    };
+}
+
+// Why strict mode refuses a snooze or skip right now, or null if it is allowed.
+// Both wait skipDelaySeconds into the reminder or break; skips also need budget left today.
+// Outside a due reminder or running break there is nothing to put off, so nothing to refuse
+// or count against the budget (snoozeBreak ignores those requests).
+function strictRefusal(settings, state, reason, now) {
+    const policy = breakPolicy(settings, state, now);
+    if (!policy) return null;
+    if (state.status !== BREAK_STATES.REMINDER_PENDING && state.status !== BREAK_STATES.ON_BREAK) return null;
+    const shownAt = state.status === BREAK_STATES.ON_BREAK ? state.breakStartedAt : state.reminderAt;
+    if (now < shownAt + policy.skipDelaySeconds * 1000) return 'too-early';
+    if (reason === 'skip' && policy.skipsLeft === 0) return 'no-skips-left';
+    return null;
+}
+
+// Text for the break overlay and notification; the 20-20-20 explanation uses the configured times
+function breakMessage(settings, kind) {
+    if (kind === BREAK_KINDS.LONG) return settings.longBreakMessage;
+    return i18n('breakMicroMessage',
+        i18nPlural('minutes', settings.breakIntervalMinutes),
+        i18nPlural('seconds', settings.breakDurationSeconds));
+}
+
+function breakDurationSeconds(settings, kind) {
+    return kind === BREAK_KINDS.LONG ? settings.longBreakDurationMinutes * 60 : settings.breakDurationSeconds;
+}
+
+// Active time counted towards the next break of the given kind
+function activeMsSoFar(state, now, kind = BREAK_KINDS.MICRO) {
+    const accumulated = kind === BREAK_KINDS.LONG ? state.longAccumulatedActiveMs : state.accumulatedActiveMs;
+    return accumulated + (state.workStartedAt ? now - state.workStartedAt : 0);
+}
+
+// State changes that (re)start counting active time towards the next breaks
+function resumeWork({ accumulatedActiveMs, longAccumulatedActiveMs }, settings, now) {
+    const dueAt = (kind, accumulated) => now + Math.max(breakIntervalMs(settings, kind) - accumulated, 0);
+    return {
+        status: BREAK_STATES.WORKING,
+        workStartedAt: now,
+        accumulatedActiveMs,
+        longAccumulatedActiveMs,
+        nextBreakDueAt: dueAt(BREAK_KINDS.MICRO, accumulatedActiveMs),
+        nextLongBreakDueAt: settings.longBreaksEnabled ? dueAt(BREAK_KINDS.LONG, longAccumulatedActiveMs) : 0,
+        idleSince: 0
+    };
+}
+
+// State changes that stop counting and keep the active time gathered so far
+function pauseWork(state, now) {
+    return {
+        workStartedAt: 0,
+        accumulatedActiveMs: activeMsSoFar(state, now),
+        longAccumulatedActiveMs: activeMsSoFar(state, now, BREAK_KINDS.LONG),
+        nextBreakDueAt: 0,
+        nextLongBreakDueAt: 0
+    };
+}
+
+// Counters after a break of the given kind: a long break also counts as a micro break
+function afterBreak(state, kind) {
+    return {
+        accumulatedActiveMs: 0,
+        longAccumulatedActiveMs: kind === BREAK_KINDS.LONG ? 0 : state.longAccumulatedActiveMs
+    };
+}
+
+const NOT_COUNTING = { workStartedAt: 0, nextBreakDueAt: 0, nextLongBreakDueAt: 0 };
+const FRESH_COUNTERS = { accumulatedActiveMs: 0, longAccumulatedActiveMs: 0 };
+
+// State changes for a chrome.idle state report
+function applyIdleState(current, idleState, settings, now) {
+    if (idleState === "active") {
+        if (current.status !== BREAK_STATES.WORKING || current.workStartedAt) return {};
+        // Time away at least as long as a break counts as one
+        const awayMs = current.idleSince ? now - current.idleSince : 0;
+        const rested = (kind) => awayMs >= breakDurationSeconds(settings, kind) * 1000;
+        return resumeWork({
+            accumulatedActiveMs: rested(BREAK_KINDS.MICRO) ? 0 : current.accumulatedActiveMs,
+            longAccumulatedActiveMs: rested(BREAK_KINDS.LONG) ? 0 : current.longAccumulatedActiveMs
+        }, settings, now);
+    }
+    
+    // Idle is only reported after IDLE_DETECTION_SECONDS without input
+    const idleStartedAt = Math.max(now - IDLE_DETECTION_SECONDS * 1000, current.workStartedAt);
+    
+    // Stepping away answers a pending reminder
+    if (current.status === BREAK_STATES.REMINDER_PENDING) {
+        return { status: BREAK_STATES.WORKING, idleSince: idleStartedAt, snoozeStreak: 0 };
+    }
+    if (current.status !== BREAK_STATES.WORKING || !current.workStartedAt) return {};
+    return { ...pauseWork(current, idleStartedAt), idleSince: idleStartedAt };
+}
+
+// Bring the restored state in line with settings, idle state and the clock, then re-create
+// missing alarms. Runs on every service worker wake, since module variables do not survive suspension.
+async function reconcileBreakEngine() {
+    const settings = await getSettings();
+    const idleState = await queryIdleState(IDLE_DETECTION_SECONDS);
+    const now = Date.now();
+    
+    const state = await updateBreakState((current) => {
+        if (!isFeatureActive(settings, settings.breaksEnabled, now)) {
+            const pausedReason = settings.enabled && settings.breaksEnabled ? 'schedule' : 'disabled';
+            return { status: BREAK_STATES.PAUSED, pausedReason, ...NOT_COUNTING, ...FRESH_COUNTERS };
+        }
+        if (current.status === BREAK_STATES.PAUSED ||
+            (current.status === BREAK_STATES.ON_BREAK && now > current.breakEndsAt + BREAK_GRACE_MS)) {
+            const counters = current.status === BREAK_STATES.PAUSED ? FRESH_COUNTERS : afterBreak(current, current.breakKind);
+            return idleState === "active"
+                ? { ...resumeWork(counters, settings, now), pausedReason: null }
+                : { status: BREAK_STATES.WORKING, pausedReason: null, ...NOT_COUNTING, ...counters, idleSince: now };
+        }
+        if (current.status === BREAK_STATES.WORKING && current.workStartedAt && idleState === "active") {
+            // Re-derive the due times in case the interval settings changed
+            return resumeWork({
+                accumulatedActiveMs: activeMsSoFar(current, now),
+                longAccumulatedActiveMs: activeMsSoFar(current, now, BREAK_KINDS.LONG)
+            }, settings, now);
+        }
+        return applyIdleState(current, idleState, settings, now);
+    });
+    
+    if (state.status === BREAK_STATES.SNOOZED && now >= state.snoozedUntil) {
+        await endSnooze();
+    }
+    const dueTimes = [state.nextBreakDueAt, state.nextLongBreakDueAt].filter(Boolean);
+    if (state.status === BREAK_STATES.WORKING && dueTimes.length > 0 && now >= Math.min(...dueTimes)) {
+        await handleBreakDue();
+    }
+    
     await ensureBreakTickAlarm();
-    startKeepAlive();
+    await ensureProximitySampling();
+    await ensureBlinkSampling();
+    await ensureScheduleAlarm(settings);
+    await ensureCameraResumeAlarm(now);
+    
+    // Release the camera outside working hours, while paused, or with every camera feature off
+    if (!await isCameraFeatureActive(settings, cameraFeaturesEnabled(settings), now)) {
+        await closeOffscreenDocument();
+    }
+}
+
+// Initialize on install/startup
+chrome.runtime.onInstalled.addListener(async (details) => {
+    console.log('EyeGuard: Extension installed, reason:', details.reason);
+    // Keep the user's settings across updates and reinstalls that restored them
+    await chrome.storage.local.set({ settings: await getSettings() });
+    await migrateCalibrationData();
+    await reconcileBreakEngine();
 });
 
-chrome.runtime.onStartup.addListener(async () => {
+chrome.runtime.onStartup.addListener(() => {
     console.log('EyeGuard: Extension started');
-    const { activeMinutes: saved } = await chrome.storage.local.get('activeMinutes');
-    activeMinutes = saved || 0;
-    await ensureBreakTickAlarm();
-    startKeepAlive();
 });
 
-// Keep service worker alive
-function startKeepAlive() {
-    if (keepAliveInterval) clearInterval(keepAliveInterval);
-    keepAliveInterval = setInterval(() => {
-        console.log('EyeGuard: Service worker keep-alive ping');
-    }, 20000); // Ping every 20 seconds
-}
+// Restore persisted state whenever the service worker wakes up
+reconcileBreakEngine().catch((error) => {
+    console.error('EyeGuard: Failed to restore break engine:', error);
+});
 
-// Stop keep-alive when extension is disabled
-chrome.runtime.onSuspend.addListener(() => {
-    if (keepAliveInterval) {
-        clearInterval(keepAliveInterval);
-        keepAliveInterval = null;
-    }
+// Pause and resume counting as soon as the user goes idle or comes back
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+chrome.idle.onStateChanged.addListener(async (idleState) => {
+    console.log('EyeGuard: Idle state changed:', idleState);
+    // The offscreen document pauses the camera while idle or locked
+    chrome.runtime.sendMessage({ type: 'eyeguard.sampling.idle', idleState }).catch(() => {
+        // No offscreen document while camera features are off
+    });
+    const settings = await getSettings();
+    if (!isFeatureActive(settings, settings.breaksEnabled)) return;
+    await updateBreakState((current) => applyIdleState(current, idleState, settings, Date.now()));
 });
 
 // Alarm handlers
@@ -62,70 +394,401 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
         case 'eyeguard.break.tick':
             await handleBreakTick();
             break;
+        case 'eyeguard.break.due':
+            await handleBreakDue();
+            break;
+        case 'eyeguard.break.snooze':
+            await endSnooze();
+            break;
+        case 'eyeguard.break.end':
+            await handleBreakEnd();
+            break;
+        case 'eyeguard.schedule.change':
+            // Working hours started or ended: pause or resume everything
+            await reconcileBreakEngine();
+            break;
         case 'eyeguard.proximity.sample':
+            // Watchdog only: the offscreen document times its own samples
             await handleProximitySample();
             break;
+        case 'eyeguard.blink.sample':
+            await handleBlinkSample();
+            break;
+        case 'eyeguard.camera.resume':
+            await resumeCamera();
+            break;
     }
 });
 
-// Break reminder logic
+function queryIdleState(detectionIntervalSeconds) {
+    return new Promise((resolve) => chrome.idle.queryState(detectionIntervalSeconds, resolve));
+}
+
+// Minute heartbeat: screen time, missed idle changes and unanswered reminders
 async function handleBreakTick() {
-    const now = Date.now();
-    const { settings = DEFAULT_SETTINGS } = await chrome.storage.local.get("settings");
-    if (!settings.enabled || !settings.breaksEnabled) {
+    const settings = await getSettings();
+    if (!isFeatureActive(settings, settings.breaksEnabled)) {
         console.log('EyeGuard: Break system disabled, skipping tick');
         return;
     }
-    if (now < snoozedUntilMs) {
-        console.log('EyeGuard: Break snoozed, skipping tick');
+    
+    try {
+        const idleState = await queryIdleState(IDLE_DETECTION_SECONDS);
+        console.log('EyeGuard: Idle state:', idleState);
+        
+        if (idleState === "active") {
+            await recordActiveMinute();
+        }
+        
+        let reminderKind = null;
+        const state = await updateBreakState((current) => {
+            const now = Date.now();
+            // An unanswered reminder (tab closed, overlay ignored) comes back after the snooze time;
+            // a deferred one is retried every minute until the do-not-disturb condition ends
+            if (idleState === "active" && current.status === BREAK_STATES.REMINDER_PENDING &&
+                (current.deferredReason || now - current.reminderAt >= settings.snoozeMinutes * 60 * 1000)) {
+                reminderKind = current.breakKind;
+                return { reminderAt: now };
+            }
+            return applyIdleState(current, idleState, settings, now);
+        });
+        
+        if (reminderKind) {
+            console.log('EyeGuard: Reminder still unanswered, sending again');
+            await sendBreakReminder(settings, reminderKind);
+        }
+        
+        console.log('EyeGuard: handleBreakTick completed, state:', state.status, 'next break due:', state.nextBreakDueAt);
+    } catch (error) {
+        console.error('EyeGuard: Error in handleBreakTick:', error);
+    }
+}
+
+// Break due alarm: remind once enough active time has accumulated.
+// When both kinds are due, the long break replaces the micro break.
+async function handleBreakDue() {
+    const settings = await getSettings();
+    if (!isFeatureActive(settings, settings.breaksEnabled)) return;
+    
+    let reminderKind = null;
+    await updateBreakState((current) => {
+        if (current.status !== BREAK_STATES.WORKING || !current.workStartedAt) return {};
+        
+        const now = Date.now();
+        const remainingMs = breakIntervalMs(settings, BREAK_KINDS.MICRO) - activeMsSoFar(current, now);
+        const longRemainingMs = settings.longBreaksEnabled
+            ? breakIntervalMs(settings, BREAK_KINDS.LONG) - activeMsSoFar(current, now, BREAK_KINDS.LONG)
+            : Infinity;
+        
+        if (Math.min(remainingMs, longRemainingMs) > BREAK_DUE_TOLERANCE_MS) {
+            // Fired early (alarm granularity or interval changed): reschedule
+            return {
+                nextBreakDueAt: now + remainingMs,
+                nextLongBreakDueAt: settings.longBreaksEnabled ? now + longRemainingMs : 0
+            };
+        }
+        
+        reminderKind = longRemainingMs <= BREAK_DUE_TOLERANCE_MS ? BREAK_KINDS.LONG : BREAK_KINDS.MICRO;
+        const paused = pauseWork(current, now);
+        return {
+            ...paused,
+            ...afterBreak(paused, reminderKind),
+            status: BREAK_STATES.REMINDER_PENDING,
+            breakKind: reminderKind,
+            voluntary: false,
+            reminderAt: now,
+            deferredReason: null,
+            deferredSince: 0
+        };
+    });
+    
+    if (reminderKind) {
+        console.log('EyeGuard: Break interval reached, sending', reminderKind, 'break reminder');
+        await sendBreakReminder(settings, reminderKind);
+    }
+}
+
+// Fullscreen, video and call state reported by each tab's content script.
+// Session storage, one key per tab, so it is forgotten when the browser restarts.
+function tabActivityKey(tabId) {
+    return `tabActivity.${tabId}`;
+}
+
+async function getTabActivity(tabId) {
+    const key = tabActivityKey(tabId);
+    const { [key]: activity = {} } = await chrome.storage.session.get(key);
+    return activity;
+}
+
+// Do-not-disturb check for the focused tab; returns one of DEFER_REASONS or null.
+// Automatic deferral gives up once the reminder has been held for maxDeferMinutes.
+async function getDeferReason(settings, deferredSince, now) {
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!activeTab) return null;
+    if (siteModeFor(settings, activeTab.url) === SITE_RULE_MODES.DEFER) return DEFER_REASONS.SITE;
+    
+    if (!settings.autoDeferEnabled) return null;
+    if (deferredSince && now - deferredSince >= settings.maxDeferMinutes * 60 * 1000) return null;
+    
+    const activity = await getTabActivity(activeTab.id);
+    if (activity.capturing) return DEFER_REASONS.CALL;
+    if (activity.fullscreen) return DEFER_REASONS.FULLSCREEN;
+    if (activity.playingVideo) return DEFER_REASONS.VIDEO;
+    return null;
+}
+
+async function sendBreakReminder(settings, kind) {
+    const now = Date.now();
+    const { deferredSince } = await getBreakState();
+    const deferredReason = await getDeferReason(settings, deferredSince, now);
+    await updateBreakState(() => deferredReason
+        ? { deferredReason, deferredSince: deferredSince || now }
+        : { deferredReason: null, deferredSince: 0 });
+    if (deferredReason) {
+        console.log('EyeGuard: Break reminder deferred:', deferredReason);
         return;
     }
+    
+    // Fall back to a system notification when no focused page confirms it showed the overlay
+    const responses = settings.notificationsOnly ? [] : await broadcastMessage({
+        type: "eyeguard.break.reminder",
+        kind,
+        durationSeconds: breakDurationSeconds(settings, kind),
+        message: breakMessage(settings, kind),
+        policy: breakPolicy(settings, await getBreakState())
+    });
+    if (!responses.some(response => response?.displayed)) {
+        await showBreakNotification(settings, kind);
+    }
+    await recordEvent(HISTORY_EVENTS.BREAK_REMINDER, { kind });
+}
 
-    return new Promise((resolve) => {
-        chrome.idle.queryState(60, async (state) => {
-            try {
-                console.log('EyeGuard: Idle state:', state, 'activeMinutes before:', activeMinutes);
-                
-                if (state === "active" && !isBreakInProgress) {
-                    const oldValue = activeMinutes;
-                    activeMinutes = oldValue + 1;
-                    await chrome.storage.local.set({ activeMinutes });
-                    console.log('EyeGuard: Incremented activeMinutes from', oldValue, 'to:', activeMinutes);
-                    
-                    if (activeMinutes >= settings.breakIntervalMinutes) {
-                        activeMinutes = 0;
-                        await chrome.storage.local.set({ activeMinutes: 0 });
-                        console.log('EyeGuard: Break interval reached, sending reminder');
-                        broadcastMessage({ type: "eyeguard.break.reminder" });
-                    }
-                } else if (state !== "active") {
-                    const oldValue = activeMinutes;
-                    activeMinutes = 0;
-                    await chrome.storage.local.set({ activeMinutes: 0 });
-                    console.log('EyeGuard: User idle, reset activeMinutes from', oldValue, 'to 0');
-                }
-                
-                console.log('EyeGuard: handleBreakTick completed, final activeMinutes:', activeMinutes);
-                resolve();
-            } catch (error) {
-                console.error('EyeGuard: Error in handleBreakTick:', error);
-                resolve();
-            }
+async function showBreakNotification(settings, kind) {
+    const isLong = kind === BREAK_KINDS.LONG;
+    await chrome.notifications.create(BREAK_NOTIFICATION_ID, {
+        type: 'basic',
+        iconUrl: NOTIFICATION_ICON,
+        title: i18n(isLong ? 'breakLongTitle' : 'breakMicroTitle'),
+        message: breakMessage(settings, kind),
+        buttons: [
+            { title: i18n('buttonStartBreak') },
+            { title: i18n('notificationSnooze', i18nPlural('minutes', settings.snoozeMinutes)) }
+        ],
+        requireInteraction: true,
+        priority: 2
+    });
+    console.log('EyeGuard: Showed', kind, 'break notification');
+}
+
+// Notification buttons: 0 = Start break, 1 = Snooze
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+    if (notificationId !== BREAK_NOTIFICATION_ID) return;
+    const settings = await getSettings();
+    const { breakKind } = await getBreakState();
+    if (buttonIndex === 0) {
+        await startBreak(settings, breakKind);
+    } else if (await snoozeBreak(settings, 'snooze')) {
+        // Strict mode refused: say so instead of leaving the click looking ignored
+        await chrome.notifications.update(BREAK_NOTIFICATION_ID, {
+            message: i18n('notificationSnoozeTooEarly', i18nPlural('seconds', settings.skipDelaySeconds))
         });
+    }
+});
+
+// The calibration prompt opens the options page, where the wizard is
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+    if (notificationId !== CALIBRATION_NOTIFICATION_ID) return;
+    await chrome.notifications.clear(CALIBRATION_NOTIFICATION_ID);
+    await chrome.runtime.openOptionsPage();
+});
+
+// Distance warnings are off until the camera has a wizard baseline; ask once per browser session and camera
+async function promptCalibration(cameraKey) {
+    const { calibrationPrompted = [] } = await chrome.storage.session.get('calibrationPrompted');
+    if (calibrationPrompted.includes(cameraKey)) return;
+    await chrome.storage.session.set({ calibrationPrompted: [...calibrationPrompted, cameraKey] });
+    await chrome.notifications.create(CALIBRATION_NOTIFICATION_ID, {
+        type: 'basic',
+        iconUrl: NOTIFICATION_ICON,
+        title: i18n('notificationCalibrateTitle'),
+        message: i18n('notificationCalibrateMessage'),
+        priority: 1
     });
+    console.log('EyeGuard: Asked for calibration of', cameraKey);
+}
+
+chrome.notifications.onClosed.addListener((notificationId, byUser) => {
+    if (notificationId === BREAK_NOTIFICATION_ID && byUser) {
+        console.log('EyeGuard: Break notification dismissed');
+    }
+});
+
+async function startBreak(settings, kind, durationSeconds) {
+    await chrome.notifications.clear(BREAK_NOTIFICATION_ID);
+    const state = await updateBreakState((current) => {
+        const now = Date.now();
+        const breakKind = kind || current.breakKind;
+        // Long breaks are for leaving the screen, so only micro breaks get an eye exercise
+        const activityId = breakKind === BREAK_KINDS.MICRO ? pickActivity(settings, current.lastActivityId) : null;
+        return {
+            ...pauseWork(current, now),
+            status: BREAK_STATES.ON_BREAK,
+            breakKind,
+            breakStartedAt: now,
+            breakEndsAt: now + (durationSeconds || breakDurationSeconds(settings, breakKind)) * 1000,
+            activityId,
+            lastActivityId: activityId || current.lastActivityId,
+            snoozedUntil: 0
+        };
+    });
+    console.log('EyeGuard: Break started');
+    return state;
+}
+
+// Break end alarm: no tab reported the countdown finished, so end it here and say so
+async function handleBreakEnd() {
+    const state = await getBreakState();
+    if (state.status !== BREAK_STATES.ON_BREAK) return;
+    
+    await completeBreak(await getSettings(), state.breakKind);
+    await chrome.notifications.create(BREAK_NOTIFICATION_ID, {
+        type: 'basic',
+        iconUrl: NOTIFICATION_ICON,
+        title: i18n('notificationBreakOverTitle'),
+        message: i18n('notificationBreakOverMessage'),
+        priority: 0
+    });
+}
+
+// Completing twice (several tabs, or a tab and the alarm) only counts once
+async function completeBreak(settings, kind) {
+    let completedKind = null;
+    await updateBreakState((current) => {
+        if (current.status !== BREAK_STATES.ON_BREAK) return {};
+        completedKind = kind || current.breakKind;
+        return { ...resumeWork(afterBreak(current, completedKind), settings, Date.now()), breakEndsAt: 0, voluntary: false, snoozeStreak: 0 };
+    });
+    if (!completedKind) return;
+    
+    console.log('EyeGuard: Break completed:', completedKind);
+    await recordEvent(HISTORY_EVENTS.BREAK_COMPLETED, { kind: completedKind });
+}
+
+// reason 'skip' is recorded as a skipped break, anything else as a snooze.
+// In strict mode a skip without budget left counts as a snooze, and both are refused
+// before skipDelaySeconds; returns the refusal reason, or null once snoozed.
+async function snoozeBreak(settings, reason) {
+    let kind = BREAK_KINDS.MICRO;
+    let refusal = null;
+    let skipped = false;
+    let offered = true;
+    let voluntary = false;
+    await updateBreakState((current) => {
+        const now = Date.now();
+        // A break taken from the popup was never due: skipping it goes back to work with the
+        // active time carried on, without snoozing, a reminder later or a skip on the budget
+        voluntary = current.voluntary;
+        if (voluntary) {
+            if (current.status !== BREAK_STATES.ON_BREAK) return { voluntary: false };
+            return { ...resumeWork(current, settings, now), breakEndsAt: 0, voluntary: false };
+        }
+        // Only a due reminder or a running break can be put off
+        offered = current.status === BREAK_STATES.REMINDER_PENDING || current.status === BREAK_STATES.ON_BREAK;
+        if (!offered) return {};
+        refusal = strictRefusal(settings, current, reason, now);
+        if (refusal === 'too-early') return {};
+        kind = current.breakKind;
+        skipped = reason === 'skip' && !refusal;
+        const counts = countsForToday(current, now);
+        return {
+            ...pauseWork(current, now),
+            status: BREAK_STATES.SNOOZED,
+            snoozedUntil: now + settings.snoozeMinutes * 60 * 1000,
+            breakEndsAt: 0,
+            voluntary: false,
+            snoozeStreak: current.snoozeStreak + 1,
+            dailyCounts: skipped
+                ? { ...counts, skips: counts.skips + 1 }
+                : { ...counts, snoozes: counts.snoozes + 1 }
+        };
+    });
+    if (voluntary) {
+        console.log('EyeGuard: Voluntary break skipped, back to work');
+        await chrome.notifications.clear(BREAK_NOTIFICATION_ID);
+        return null;
+    }
+    if (!offered) {
+        console.log('EyeGuard: No break due or running, ignoring', reason || 'snooze');
+        await chrome.notifications.clear(BREAK_NOTIFICATION_ID);
+        return null;
+    }
+    if (refusal === 'too-early') {
+        console.log('EyeGuard: Strict mode refused', reason, 'before the minimum time');
+        return refusal;
+    }
+    if (refusal) console.log('EyeGuard: No skips left today, snoozing instead');
+    
+    await chrome.notifications.clear(BREAK_NOTIFICATION_ID);
+    console.log('EyeGuard: Break snoozed for', settings.snoozeMinutes, 'minutes');
+    await recordEvent(skipped ? HISTORY_EVENTS.BREAK_SKIPPED : HISTORY_EVENTS.BREAK_SNOOZED, { kind });
+    return null;
+}
+
+// Retry a deferred reminder right away instead of waiting for the next tick
+async function retryDeferredReminder() {
+    const state = await getBreakState();
+    if (state.status !== BREAK_STATES.REMINDER_PENDING || !state.deferredReason) return;
+    
+    const settings = await getSettings();
+    let reminderKind = null;
+    await updateBreakState((current) => {
+        if (current.status !== BREAK_STATES.REMINDER_PENDING || !current.deferredReason) return {};
+        reminderKind = current.breakKind;
+        return { reminderAt: Date.now() };
+    });
+    if (reminderKind) await sendBreakReminder(settings, reminderKind);
+}
+
+// Switching tabs may end the do-not-disturb condition
+chrome.tabs.onActivated.addListener(() => {
+    retryDeferredReminder().catch(error => console.error('EyeGuard: Failed to retry deferred reminder:', error));
+});
+
+// A navigating or closed tab no longer has its old page's activity
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.status === 'loading') chrome.storage.session.remove(tabActivityKey(tabId));
+});
+chrome.tabs.onRemoved.addListener((tabId) => {
+    chrome.storage.session.remove(tabActivityKey(tabId));
+});
+
+// Snooze expired: the reminder comes back
+async function endSnooze() {
+    const settings = await getSettings();
+    let reminderKind = null;
+    await updateBreakState((current) => {
+        if (current.status !== BREAK_STATES.SNOOZED) return {};
+        reminderKind = current.breakKind;
+        return { status: BREAK_STATES.REMINDER_PENDING, voluntary: false, snoozedUntil: 0, reminderAt: Date.now(), deferredReason: null, deferredSince: 0 };
+    });
+    
+    if (reminderKind) {
+        console.log('EyeGuard: Snooze over, sending reminder');
+        await sendBreakReminder(settings, reminderKind);
+    }
 }
 
 // Proximity sampling logic
 async function handleProximitySample() {
-    const { settings = DEFAULT_SETTINGS } = await chrome.storage.local.get("settings");
-    if (!settings.enabled || !settings.proximityEnabled) {
-        console.log('EyeGuard: Proximity system disabled, skipping sample');
+    const settings = await getSettings();
+    if (!await isCameraFeatureActive(settings, settings.proximityEnabled || settings.postureEnabled)) {
+        console.log('EyeGuard: Proximity system disabled or camera paused, skipping sample');
         return;
     }
     
     await ensureOffscreenDocument();
     
-    // Send sample request to offscreen document
+    // Restarts the offscreen sampling loop if it has stalled
     try {
         await chrome.runtime.sendMessage({ type: 'eyeguard.proximity.sample' });
     } catch (error) {
@@ -133,16 +796,46 @@ async function handleProximitySample() {
     }
 }
 
+// Blink sampling logic
+async function handleBlinkSample() {
+    const settings = await getSettings();
+    if (!await isCameraFeatureActive(settings, settings.blinkEnabled)) {
+        console.log('EyeGuard: Blink monitoring disabled or camera paused, skipping sample');
+        return;
+    }
+    
+    await ensureOffscreenDocument();
+    
+    // Ask the offscreen document to count blinks over a short burst
+    try {
+        await chrome.runtime.sendMessage({ type: 'eyeguard.blink.sample' });
+    } catch (error) {
+        console.error('EyeGuard: Failed to send blink sample request:', error);
+    }
+}
+
+// Create an alarm unless one with the same schedule already exists, so waking the
+// service worker does not push back alarms that are already counting down
+async function ensureAlarm(name, alarmInfo) {
+    const existing = await chrome.alarms.get(name);
+    if (existing && alarmInfo.periodInMinutes === existing.periodInMinutes &&
+        (alarmInfo.when === undefined || alarmInfo.when === existing.scheduledTime)) {
+        return;
+    }
+    await chrome.alarms.create(name, alarmInfo);
+}
+
 // Ensure break tick alarm is set
 async function ensureBreakTickAlarm() {
-    const { settings = DEFAULT_SETTINGS } = await chrome.storage.local.get("settings");
-    if (!settings.enabled || !settings.breaksEnabled) {
-        console.log('EyeGuard: Break system disabled, not setting alarm');
+    const settings = await getSettings();
+    if (!isFeatureActive(settings, settings.breaksEnabled)) {
+        console.log('EyeGuard: Break system disabled or outside working hours, not setting alarm');
+        await chrome.alarms.clear('eyeguard.break.tick');
         return;
     }
     
     try {
-        await chrome.alarms.create('eyeguard.break.tick', { 
+        await ensureAlarm('eyeguard.break.tick', { 
             delayInMinutes: 1, 
             periodInMinutes: 1 
         });
@@ -154,14 +847,16 @@ async function ensureBreakTickAlarm() {
 
 // Ensure proximity sampling alarm is set
 async function ensureProximitySampling() {
-    const { settings = DEFAULT_SETTINGS } = await chrome.storage.local.get("settings");
-    if (!settings.enabled || !settings.proximityEnabled) {
-        console.log('EyeGuard: Proximity system disabled, not setting alarm');
+    const settings = await getSettings();
+    // The same camera samples drive both distance and posture checks
+    if (!await isCameraFeatureActive(settings, settings.proximityEnabled || settings.postureEnabled)) {
+        console.log('EyeGuard: Proximity system disabled, outside working hours or camera paused, not setting alarm');
+        await chrome.alarms.clear('eyeguard.proximity.sample');
         return;
     }
     
     try {
-        await chrome.alarms.create('eyeguard.proximity.sample', { 
+        await ensureAlarm('eyeguard.proximity.sample', { 
             delayInMinutes: 0.5, 
             periodInMinutes: settings.proximityPeriodSeconds / 60 
         });
@@ -171,6 +866,78 @@ async function ensureProximitySampling() {
     }
 }
 
+// Ensure blink sampling alarm is set
+async function ensureBlinkSampling() {
+    const settings = await getSettings();
+    if (!await isCameraFeatureActive(settings, settings.blinkEnabled)) {
+        console.log('EyeGuard: Blink monitoring disabled, outside working hours or camera paused, not setting alarm');
+        await chrome.alarms.clear('eyeguard.blink.sample');
+        return;
+    }
+    
+    try {
+        await ensureAlarm('eyeguard.blink.sample', { 
+            delayInMinutes: BLINK_SAMPLE_PERIOD_MINUTES, 
+            periodInMinutes: BLINK_SAMPLE_PERIOD_MINUTES 
+        });
+        console.log('EyeGuard: Blink sampling scheduled every', BLINK_SAMPLE_PERIOD_MINUTES, 'minutes');
+    } catch (error) {
+        console.error('EyeGuard: Failed to set blink sampling alarm:', error);
+    }
+}
+
+// Wake up at the next working-hours boundary
+async function ensureScheduleAlarm(settings) {
+    const next = nextScheduleChange(settings);
+    if (next === null) {
+        await chrome.alarms.clear('eyeguard.schedule.change');
+        return;
+    }
+    await ensureAlarm('eyeguard.schedule.change', { when: next });
+    console.log('EyeGuard: Next schedule change at', new Date(next).toLocaleString());
+}
+
+// Wake up when a camera pause from the popup runs out
+async function ensureCameraResumeAlarm(now = Date.now()) {
+    const pausedUntil = await getCameraPausedUntil();
+    if (pausedUntil <= now) {
+        await chrome.alarms.clear('eyeguard.camera.resume');
+        return;
+    }
+    await ensureAlarm('eyeguard.camera.resume', { when: pausedUntil });
+}
+
+// Switch the camera off for a while; every camera feature stops until then
+async function pauseCamera(hours) {
+    const pausedUntil = Date.now() + hours * 60 * 60 * 1000;
+    await chrome.storage.local.set({ cameraPausedUntil: pausedUntil });
+    console.log('EyeGuard: Camera paused until', new Date(pausedUntil).toLocaleString());
+    await reconcileBreakEngine();
+}
+
+// End a camera pause early, or when it runs out, and pick sampling back up
+async function resumeCamera() {
+    await chrome.storage.local.remove('cameraPausedUntil');
+    console.log('EyeGuard: Camera pause ended');
+    await reconcileBreakEngine();
+    
+    const settings = await getSettings();
+    if (await isCameraFeatureActive(settings, settings.proximityEnabled || settings.postureEnabled)) {
+        await ensureOffscreenDocument();
+    }
+}
+
+// Badge the toolbar icon while the camera stream is live
+async function updateCameraIndicator(active) {
+    try {
+        await chrome.action.setBadgeBackgroundColor({ color: CAMERA_BADGE_COLOR });
+        await chrome.action.setBadgeText({ text: active ? i18n('actionBadgeCamera') : '' });
+        await chrome.action.setTitle({ title: active ? i18n('actionTitleCameraOn') : i18n('extName') });
+    } catch (error) {
+        console.error('EyeGuard: Failed to update camera indicator:', error);
+    }
+}
+
 // Ensure offscreen document exists
 async function ensureOffscreenDocument() {
     try {
@@ -198,6 +965,27 @@ async function ensureOffscreenDocument() {
     }
 }
 
+// Close the offscreen document, stopping the camera, if it exists
+async function closeOffscreenDocument() {
+    try {
+        const existingContexts = await chrome.runtime.getContexts({
+            contextTypes: ['OFFSCREEN_DOCUMENT'],
+            documentUrls: [chrome.runtime.getURL('offscreen.html')]
+        });
+        if (existingContexts.length === 0) return;
+        
+        await chrome.offscreen.closeDocument();
+        await chrome.storage.local.remove('samplingStatus');
+        await updateCameraIndicator(false);
+        console.log('EyeGuard: Closed offscreen document');
+        // Nothing measures the distance any more, so an alert or page effect still showing would never clear
+        await broadcastMessage({ type: "eyeguard.proximity.cleared" });
+        await broadcastMessage({ type: "eyeguard.proximity.safe" });
+    } catch (error) {
+        console.error('EyeGuard: Failed to close offscreen document:', error);
+    }
+}
+
 // Force recreate offscreen document
 async function forceRecreateOffscreenDocument() {
     try {
@@ -221,81 +1009,236 @@ async function forceRecreateOffscreenDocument() {
     }
 }
 
-// Broadcast message to all tabs
-function broadcastMessage(message) {
-    chrome.tabs.query({}, (tabs) => {
-        tabs.forEach(tab => {
-            chrome.tabs.sendMessage(tab.id, message).catch(() => {
-                // Ignore errors for tabs that don't have content script
-            });
+// Broadcast message to all tabs; resolves to each tab's response (null where nothing answered)
+async function broadcastMessage(message) {
+    const settings = await getSettings();
+    const tabs = await chrome.tabs.query({});
+    return Promise.all(tabs.map(tab => {
+        // Deferring sites get no EyeGuard UI at all
+        if (siteModeFor(settings, tab.url) === SITE_RULE_MODES.DEFER) return null;
+        return chrome.tabs.sendMessage(tab.id, message).catch(() => {
+            // Ignore errors for tabs that don't have content script
+            return null;
         });
-    });
+    }));
 }
 
 // Messages from popup/content/offscreen
-chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (typeof message?.type !== 'string' || !message.type.startsWith('eyeguard.')) return false;
+    
+    handleMessage(message, sender, sendResponse).catch((error) => {
+        console.error('EyeGuard: Failed to handle message:', message.type, error);
+        sendResponse({ success: false, error: error.message });
+    });
+    // Keep the channel open until the async handler calls sendResponse
+    return true;
+});
+
+async function handleMessage(message, sender, sendResponse) {
     console.log('EyeGuard: Message received:', message.type, 'from:', sender.origin);
     
-    switch (message?.type) {
+    switch (message.type) {
         case "eyeguard.request.status": {
-            const { settings = DEFAULT_SETTINGS } = await chrome.storage.local.get("settings");
-            const minutesRemaining = Math.max(settings.breakIntervalMinutes - activeMinutes, 0);
+            const settings = await getSettings();
+            const breakState = await getBreakState();
+            const { proximityReading = null, samplingStatus = null, cameraPausedUntil = 0 } =
+                await chrome.storage.local.get(['proximityReading', 'samplingStatus', 'cameraPausedUntil']);
+            const now = Date.now();
+            const msRemaining = Math.max(breakIntervalMs(settings, BREAK_KINDS.MICRO) - activeMsSoFar(breakState, now), 0);
             const response = {
-                activeMinutes,
-                minutesRemaining,
-                isBreakInProgress,
+                activeMinutes: Math.floor(activeMsSoFar(breakState, now) / 60000),
+                minutesRemaining: Math.ceil(msRemaining / 60000),
+                isBreakInProgress: breakState.status === BREAK_STATES.ON_BREAK,
+                breakState,
+                proximityReading,
+                samplingStatus,
+                cameraPausedUntil,
                 settings
             };
             console.log('EyeGuard: Status requested, responding with:', response);
             sendResponse(response);
             return;
         }
+        case "eyeguard.break.start": {
+            // Break started from the popup: show the overlay everywhere, or run it from notifications
+            const settings = await getSettings();
+            const kind = message.kind || BREAK_KINDS.MICRO;
+            const durationSeconds = message.durationSeconds || breakDurationSeconds(settings, kind);
+            // A break taken while one is due is that break; otherwise it is voluntary
+            await updateBreakState((current) => ({
+                breakKind: kind,
+                voluntary: current.status === BREAK_STATES.ON_BREAK ? current.voluntary
+                    : current.status !== BREAK_STATES.REMINDER_PENDING
+            }));
+            const responses = settings.notificationsOnly ? [] : await broadcastMessage({
+                type: "eyeguard.break.start",
+                kind,
+                durationSeconds,
+                message: breakMessage(settings, kind)
+            });
+            if (!responses.some(response => response?.displayed)) {
+                await startBreak(settings, kind, durationSeconds);
+            }
+            sendResponse({ success: true });
+            return;
+        }
+        case "eyeguard.break.started": {
+            await startBreak(await getSettings(), message.kind, message.durationSeconds);
+            sendResponse({ success: true });
+            return;
+        }
         case "eyeguard.break.completed": {
-            isBreakInProgress = false;
-            activeMinutes = 0;
-            await chrome.storage.local.set({ activeMinutes: 0 });
-            console.log('EyeGuard: Break completed, reset activeMinutes');
+            await completeBreak(await getSettings(), message.kind);
             sendResponse({ success: true });
             return;
         }
         case "eyeguard.break.snooze": {
-            const { settings = DEFAULT_SETTINGS } = await chrome.storage.local.get("settings");
-            snoozedUntilMs = Date.now() + (settings.snoozeMinutes * 60 * 1000);
-            console.log('EyeGuard: Break snoozed for', settings.snoozeMinutes, 'minutes');
-            sendResponse({ success: true });
+            const refusal = await snoozeBreak(await getSettings(), message.reason);
+            sendResponse({ success: !refusal, refusal });
             return;
         }
         case "eyeguard.settings.update": {
-            const { payload } = message;
+            // Partial payloads (e.g. popup toggles) are merged into the stored settings
+            const previous = await getSettings();
+            const payload = { ...previous, ...message.payload };
+            // Off days in the past no longer matter
+            const today = dayKey(Date.now());
+            payload.scheduleOffDays = (payload.scheduleOffDays || []).filter(day => day >= today);
             await chrome.storage.local.set({ settings: payload });
             console.log('EyeGuard: Settings updated:', payload);
             
-            // Restart alarms with new settings
+            // Another camera, resolution or frame rate needs a new stream and that camera's baseline
+            if (cameraSettingsChanged(previous, payload)) {
+                await closeOffscreenDocument();
+            }
+            
+            // Restart alarms with new settings; reconciling also pauses or resumes the break engine
             await chrome.alarms.clearAll();
-            await ensureBreakTickAlarm();
-            await ensureProximitySampling();
+            await reconcileBreakEngine();
             
             // Handle proximity changes
-            if (payload.proximityEnabled) {
+            if (await isCameraFeatureActive(payload, payload.proximityEnabled || payload.postureEnabled)) {
                 await ensureOffscreenDocument();
-                await ensureProximitySampling();
-            } else {
-                // Clear proximity alarm if disabled
-                await chrome.alarms.clear('eyeguard.proximity.sample');
             }
             
             sendResponse({ success: true });
             return;
         }
+        case "eyeguard.activity.update": {
+            // Content script reports fullscreen, video playback and camera/microphone use
+            if (sender.tab?.id !== undefined) {
+                await chrome.storage.session.set({ [tabActivityKey(sender.tab.id)]: message.activity });
+                const { activity } = message;
+                if (!activity.fullscreen && !activity.playingVideo && !activity.capturing) {
+                    await retryDeferredReminder();
+                }
+            }
+            sendResponse({ success: true });
+            return;
+        }
+        case "eyeguard.proximity.reading": {
+            await chrome.storage.local.set({ proximityReading: message.reading });
+            sendResponse({ success: true });
+            return;
+        }
         case "eyeguard.proximity.warning": {
-            console.log('🚨 EyeGuard: PROXIMITY WARNING RECEIVED!');
-            broadcastMessage({ type: "eyeguard.proximity.warning" });
+            console.log('🚨 EyeGuard: PROXIMITY WARNING RECEIVED!', message.distanceCm, 'cm');
+            await broadcastMessage({
+                type: "eyeguard.proximity.warning",
+                distanceCm: message.distanceCm,
+                minDistanceCm: message.minDistanceCm,
+                level: message.level
+            });
             console.log('EyeGuard: Proximity warning broadcasted to all tabs');
+            await recordEvent(HISTORY_EVENTS.PROXIMITY_WARNING, {
+                distanceCm: message.distanceCm,
+                minDistanceCm: message.minDistanceCm
+            });
+            sendResponse({ success: true });
+            return;
+        }
+        case "eyeguard.sampling.status": {
+            // Current sampling rate and why, for the popup
+            await chrome.storage.local.set({ samplingStatus: message.status });
+            sendResponse({ success: true });
+            return;
+        }
+        case "eyeguard.camera.state": {
+            // The offscreen document opened or released the camera stream
+            await updateCameraIndicator(message.active);
+            sendResponse({ success: true });
+            return;
+        }
+        case "eyeguard.camera.pause": {
+            const hours = Number(message.hours);
+            if (!(hours > 0 && hours <= CAMERA_PAUSE_MAX_HOURS)) {
+                sendResponse({ success: false, error: 'Invalid camera pause length' });
+                return;
+            }
+            await pauseCamera(hours);
+            sendResponse({ success: true });
+            return;
+        }
+        case "eyeguard.camera.resume": {
+            await resumeCamera();
+            sendResponse({ success: true });
+            return;
+        }
+        case "eyeguard.idle.query": {
+            sendResponse({ idleState: await queryIdleState(IDLE_DETECTION_SECONDS) });
+            return;
+        }
+        case "eyeguard.proximity.cleared": {
+            // Back at a safe distance: every tab takes its alert down
+            await broadcastMessage({ type: "eyeguard.proximity.cleared" });
+            sendResponse({ success: true });
+            return;
+        }
+        case "eyeguard.proximity.too-close": {
+            // Soft enforcement only touches the page being looked at
+            const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+            if (activeTab?.id !== undefined) {
+                await chrome.tabs.sendMessage(activeTab.id, message).catch(() => {
+                    // Pages without the content script (chrome://, the Web Store) cannot be dimmed
+                });
+            }
+            sendResponse({ success: true });
+            return;
+        }
+        case "eyeguard.proximity.safe": {
+            // The tab that was dimmed may no longer be the active one
+            await broadcastMessage({ type: "eyeguard.proximity.safe" });
+            sendResponse({ success: true });
+            return;
+        }
+        case "eyeguard.posture.warning": {
+            console.log('EyeGuard: Posture warning:', message.issues);
+            await broadcastMessage({ type: "eyeguard.posture.warning", issues: message.issues });
+            await recordEvent(HISTORY_EVENTS.POSTURE_WARNING, { issues: message.issues.join(' ') });
+            sendResponse({ success: true });
+            return;
+        }
+        case "eyeguard.blink.reminder": {
+            console.log('EyeGuard: Low blink rate,', message.blinksPerMinute, 'per minute');
+            await broadcastMessage({ type: "eyeguard.blink.reminder", blinksPerMinute: message.blinksPerMinute });
+            await recordEvent(HISTORY_EVENTS.BLINK_REMINDER, { blinksPerMinute: message.blinksPerMinute });
+            sendResponse({ success: true });
+            return;
+        }
+        case "eyeguard.calibration.needed": {
+            await promptCalibration(message.cameraKey);
             sendResponse({ success: true });
             return;
         }
         case "eyeguard.proximity.reset": {
-            await forceRecreateOffscreenDocument();
+            // Drop the camera's stored baseline before the detector restarts and reloads it.
+            // While the camera is paused, off by schedule or unused, the next start loads it instead.
+            await setCalibration(message.cameraKey, null);
+            const settings = await getSettings();
+            if (await isCameraFeatureActive(settings, cameraFeaturesEnabled(settings))) {
+                await forceRecreateOffscreenDocument();
+            }
             sendResponse({ success: true });
             return;
         }
@@ -303,8 +1246,8 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
         // NEW: Storage message handlers for offscreen document
         case "eyeguard.storage.get.calibration": {
             try {
-                const { calibrationData } = await chrome.storage.local.get('calibrationData');
-                console.log('EyeGuard: Calibration data requested, responding with:', calibrationData);
+                const calibrationData = (await getCalibrations())[message.cameraKey] || null;
+                console.log('EyeGuard: Calibration data requested for', message.cameraKey, 'responding with:', calibrationData);
                 sendResponse({ calibrationData });
             } catch (error) {
                 console.error('EyeGuard: Failed to get calibration data:', error);
@@ -314,9 +1257,9 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
         }
         case "eyeguard.storage.set.calibration": {
             try {
-                const { calibrationData } = message;
-                await chrome.storage.local.set({ calibrationData });
-                console.log('EyeGuard: Calibration data saved:', calibrationData);
+                const { cameraKey, calibrationData } = message;
+                await setCalibration(cameraKey, calibrationData);
+                console.log('EyeGuard: Calibration data saved for', cameraKey, calibrationData);
                 sendResponse({ success: true });
             } catch (error) {
                 console.error('EyeGuard: Failed to save calibration data:', error);
@@ -326,7 +1269,7 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
         }
         case "eyeguard.storage.get.settings": {
             try {
-                const { settings = DEFAULT_SETTINGS } = await chrome.storage.local.get('settings');
+                const settings = await getSettings();
                 console.log('EyeGuard: Settings requested, responding with:', settings);
                 sendResponse({ settings });
             } catch (error) {
@@ -337,8 +1280,8 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
         }
         case "eyeguard.storage.remove.calibration": {
             try {
-                await chrome.storage.local.remove('calibrationData');
-                console.log('EyeGuard: Calibration data removed');
+                await setCalibration(message.cameraKey, null);
+                console.log('EyeGuard: Calibration data removed for', message.cameraKey);
                 sendResponse({ success: true });
             } catch (error) {
                 console.error('EyeGuard: Failed to remove calibration data:', error);
@@ -346,5 +1289,7 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
             }
             return;
         }
+        default:
+            sendResponse({ success: false, error: `Unknown message type: ${message.type}` });
     }
-});
+}
@@ -0,0 +1,61 @@
+// EyeGuard Camera Selection
+// Which camera the detector and the calibration wizard open, at what resolution and frame rate,
+// and the per-camera key calibration baselines are stored under.
+// Loaded by the background service worker (importScripts), the offscreen document and the options page.
+// Validation messages need i18n.js.
+
+const CAMERA_RESOLUTIONS = {
+    '640x480': { width: 640, height: 480 },
+    '1280x720': { width: 1280, height: 720 },
+    '1920x1080': { width: 1920, height: 1080 }
+};
+
+const CAMERA_FRAME_RATES = [15, 30, 60];
+
+// Baselines taken without choosing a camera (cameraDeviceId '') are stored under this key
+const DEFAULT_CAMERA_KEY = 'default';
+
+// Key into the stored calibrations for a camera; deviceIds are stable per extension, so
+// the options page and the offscreen document agree on them
+function calibrationKey(deviceId) {
+    return deviceId || DEFAULT_CAMERA_KEY;
+}
+
+// getUserMedia video constraints. A chosen camera is required exactly, so a missing one fails
+// instead of silently measuring with another camera against the wrong baseline.
+function cameraConstraints(settings) {
+    const resolution = CAMERA_RESOLUTIONS[settings.cameraResolution] || CAMERA_RESOLUTIONS['640x480'];
+    const video = {
+        width: { ideal: resolution.width },
+        height: { ideal: resolution.height },
+        frameRate: { ideal: settings.cameraFrameRate }
+    };
+    if (settings.cameraDeviceId) {
+        video.deviceId = { exact: settings.cameraDeviceId };
+    } else {
+        video.facingMode = 'user';
+    }
+    return video;
+}
+
+// Whether two settings objects open the camera differently
+function cameraSettingsChanged(previous, next) {
+    return previous.cameraDeviceId !== next.cameraDeviceId ||
+        previous.cameraResolution !== next.cameraResolution ||
+        previous.cameraFrameRate !== next.cameraFrameRate;
+}
+
+// Returns a list of error messages
+function validateCameraSettings(settings) {
+    const errors = [];
+    if (typeof settings.cameraDeviceId !== 'string') {
+        errors.push(i18n('errorCameraDevice'));
+    }
+    if (!Object.hasOwn(CAMERA_RESOLUTIONS, settings.cameraResolution)) {
+        errors.push(i18n('errorCameraResolution'));
+    }
+    if (!CAMERA_FRAME_RATES.includes(settings.cameraFrameRate)) {
+        errors.push(i18n('errorCameraFrameRate', CAMERA_FRAME_RATES.join(', ')));
+    }
+    return errors;
+}
@@ -1,77 +1,315 @@
 (function () {
-	let breakOverlayEl = null;
+	let breakUi = null; // { host, root, previousFocus, removeListeners, endsAt, locked, unlockTimer } while a break card is shown
 	let countdownInterval = null;
 
-	function createToast(message) {
-		const id = "eyeguard-proximity-toast";
-		if (document.getElementById(id)) return;
-		const container = document.createElement("div");
-		container.id = id;
-		container.style.position = "fixed";
-		container.style.top = "16px";
-		container.style.right = "16px";
-		container.style.zIndex = 999999;
-		container.style.background = "#fff";
-		container.style.border = "2px solid #fb923c";
-		container.style.boxShadow = "0 4px 12px rgba(0,0,0,.15)";
-		container.style.borderRadius = "12px";
-		container.style.padding = "12px 14px";
-		container.style.maxWidth = "320px";
-		container.style.fontFamily = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-		container.innerHTML = `<div style="font-weight:700; margin-bottom:6px; color:#111827;">Too Close to Screen</div>
-			<div style="font-size:13px; color:#374151; margin-bottom:8px;">You're sitting too close. Move back to maintain optimal eye health.</div>
-			<div style="display:flex; gap:8px;">
-				<button id="eyeguard-toast-ok" style="padding:6px 10px; border:none; background:#0b8793; color:#fff; border-radius:8px; cursor:pointer;">Got it</button>
-				<button id="eyeguard-toast-settings" style="padding:6px 10px; border:1px solid #e5e7eb; background:#fff; color:#111827; border-radius:8px; cursor:pointer;">Adjust Settings</button>
-			</div>`;
-		document.body.appendChild(container);
-		document.getElementById("eyeguard-toast-ok").onclick = () => container.remove();
-		document.getElementById("eyeguard-toast-settings").onclick = () => { 
-			container.remove(); 
-			try {
-				chrome.runtime.openOptionsPage(); 
-			} catch (error) {
-				console.error('Failed to open options page:', error);
-			}
-		};
+	const PROXIMITY_TOAST = { id: "proximity-toast", title: i18n("toastProximityTitle"), accent: "#fb923c" };
+	const POSTURE_TOAST = { id: "posture-toast", title: i18n("toastPostureTitle"), accent: "#8b5cf6" };
+
+	const POSTURE_MESSAGES = {
+		"tilted": i18n("postureTilted"),
+		"turned": i18n("postureTurned"),
+		"looking-down": i18n("postureLookingDown"),
+		"looking-up": i18n("postureLookingUp"),
+		"off-center": i18n("postureOffCenter")
+	};
+
+	// Every component lives in its own closed shadow root, so page CSS and ids cannot clash with ours
+	const SHADOW_STYLES = `
+		:host { all: initial; }
+		* { box-sizing: border-box; font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; }
+		.toast { position: fixed; right: 16px; z-index: 2147483647; background: var(--eg-surface); border: 2px solid var(--accent); box-shadow: 0 4px 12px rgba(0,0,0,.15); border-radius: 12px; padding: 12px 14px; max-width: 320px; }
+		.toast-title { font-weight: 700; margin-bottom: 6px; color: var(--eg-text); font-size: 15px; }
+		.toast-message { font-size: 13px; color: var(--eg-text-secondary); margin-bottom: 8px; }
+		.actions { display: flex; gap: 8px; }
+		.break-actions { justify-content: flex-end; }
+		button { font-size: 13px; padding: 6px 10px; border-radius: 8px; cursor: pointer; border: 1px solid var(--eg-border); background: var(--eg-surface); color: var(--eg-text); }
+		button.primary { border: none; background: var(--accent); color: #fff; }
+		button:focus-visible { outline: 3px solid #1bd2c2; outline-offset: 2px; }
+		.proximity-banner { position: fixed; top: 16px; left: 50%; transform: translateX(-50%); z-index: 2147483647; display: flex; align-items: center; gap: 12px; background: var(--eg-surface); border: 2px solid var(--accent); box-shadow: 0 4px 12px rgba(0,0,0,.15); border-radius: 12px; padding: 10px 14px; width: max-content; max-width: min(560px, 90vw); }
+		.proximity-banner .toast-message { margin-bottom: 0; }
+		.dim { position: fixed; inset: 0; z-index: 2147483646; background: rgba(0, 0, 0, 0.45); pointer-events: none; opacity: 0; transition: opacity 0.6s ease; }
+		.dim.visible { opacity: 1; }
+		.soft-enforcement { position: fixed; inset: 0; z-index: 2147483646; pointer-events: none; transition: background-color 0.4s ease, backdrop-filter 0.4s ease; }
+		.cue { position: fixed; bottom: 24px; left: 50%; transform: translateX(-50%); z-index: 2147483647; background: rgba(11, 135, 147, 0.92); color: #fff; border-radius: 999px; padding: 8px 16px; font-size: 14px; box-shadow: 0 4px 12px rgba(0,0,0,.15); pointer-events: none; opacity: 0; transition: opacity 0.6s ease; }
+		.cue.visible { opacity: 1; }
+		.overlay { position: fixed; inset: 0; z-index: 2147483647; display: flex; align-items: center; justify-content: center; background: var(--backdrop); backdrop-filter: blur(2px); }
+		.overlay.banner { inset: auto 16px 16px auto; background: none; backdrop-filter: none; }
+		.overlay.blur { backdrop-filter: blur(12px); }
+		.card { background: var(--eg-surface); border-radius: 14px; box-shadow: 0 10px 30px rgba(0,0,0,.25); padding: 20px 22px; width: min(420px, 90vw); }
+		.banner .card { width: min(320px, 90vw); border: 2px solid var(--accent); }
+		.card button { font-size: 14px; padding: 10px 12px; }
+		.break-title { font-weight: 800; font-size: 20px; margin-bottom: 6px; color: var(--accent); }
+		.break-message { font-size: 14px; color: var(--eg-text-secondary); margin-bottom: 12px; }
+		.countdown { font-weight: 800; font-size: 32px; text-align: center; margin: 8px 0 16px; color: var(--eg-text); }
+		.activity { background: var(--eg-surface-muted); border-radius: 10px; padding: 12px; margin-bottom: 12px; }
+		.activity[hidden] { display: none; }
+		.activity-header { display: flex; justify-content: space-between; font-size: 12px; font-weight: 700; color: var(--eg-text-muted); margin-bottom: 8px; }
+		.activity-visual { position: relative; height: 72px; margin-bottom: 8px; overflow: hidden; }
+		.activity-dot { position: absolute; left: calc(50% - 8px); top: calc(50% - 8px); width: 16px; height: 16px; border-radius: 50%; background: var(--accent); transition: transform 1s ease, opacity 1s ease; }
+		.activity-step { font-size: 14px; color: var(--eg-text); }
+		[data-animation="far"] .activity-dot { transform: scale(0.4); }
+		[data-animation="near"] .activity-dot { transform: scale(2.5); }
+		[data-animation="figure-eight"] .activity-dot { animation: eg-figure-eight 4s linear infinite; }
+		[data-animation="figure-eight-reverse"] .activity-dot { animation: eg-figure-eight 4s linear infinite reverse; }
+		[data-animation="blink"] .activity-dot { width: 48px; left: calc(50% - 24px); animation: eg-blink 2s ease-in-out infinite; }
+		[data-animation="palming"] .activity-dot { opacity: 0.1; transform: scale(3); }
+		[data-animation="rest"] .activity-dot { opacity: 0.35; }
+		@keyframes eg-figure-eight {
+			0% { transform: translate(0, 0); }
+			12.5% { transform: translate(50px, -22px); }
+			25% { transform: translate(100px, 0); }
+			37.5% { transform: translate(50px, 22px); }
+			50% { transform: translate(0, 0); }
+			62.5% { transform: translate(-50px, -22px); }
+			75% { transform: translate(-100px, 0); }
+			87.5% { transform: translate(-50px, 22px); }
+			100% { transform: translate(0, 0); }
+		}
+		@keyframes eg-blink {
+			0%, 40%, 100% { transform: scaleY(1); }
+			50%, 60% { transform: scaleY(0.1); }
+		}
+		.sr-only { position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0; }
+		@media (prefers-reduced-motion: reduce) {
+			* { transition: none !important; animation: none !important; }
+			.overlay { backdrop-filter: none; }
+			.overlay.blur { background: var(--eg-bg); }
+		}
+	`;
+
+	const shadowHosts = new Map();
+
+	// Components already on screen switch palettes live when the theme changes
+	let currentTheme = "system";
+	watchTheme((theme) => {
+		currentTheme = theme;
+		shadowHosts.forEach(({ host }) => applyTheme(host, theme));
+	});
+
+	// Returns the shadow root for a component, or null if that component is already showing
+	function createShadowHost(key) {
+		if (shadowHosts.has(key)) return null;
+		const host = document.createElement("eyeguard-ui");
+		// Inline and important, so page rules aimed at unknown elements cannot hide or move the host
+		host.style.setProperty("all", "initial", "important");
+		// Custom properties are not reset by "all", so the palette still reaches the shadow tree
+		applyTheme(host, currentTheme);
+		const root = host.attachShadow({ mode: "closed" });
+		const style = document.createElement("style");
+		style.textContent = SHADOW_STYLES;
+		root.appendChild(style);
+		document.documentElement.appendChild(host);
+		shadowHosts.set(key, { host, root });
+		return root;
+	}
+
+	function removeShadowHost(key) {
+		shadowHosts.get(key)?.host.remove();
+		shadowHosts.delete(key);
+	}
+
+	// Builds an element from a tag, attributes and children (strings become text, never HTML)
+	function h(tag, attributes = {}, ...children) {
+		const el = document.createElement(tag);
+		for (const [name, value] of Object.entries(attributes)) {
+			if (name === "onclick") el.addEventListener("click", value);
+			else el.setAttribute(name, value);
+		}
+		el.append(...children);
+		return el;
+	}
+
+	function createToast(message = i18n("toastProximityMessage"), { id, title, accent } = PROXIMITY_TOAST) {
+		const root = createShadowHost(id);
+		if (!root) return;
+		const close = () => removeShadowHost(id);
+		const toast = h("div", {
+			class: "toast",
+			role: "alert",
+			"aria-labelledby": "title",
+			"aria-describedby": "message",
+			style: `--accent: ${accent}; top: ${id === POSTURE_TOAST.id ? "120px" : "16px"};`
+		},
+			h("div", { class: "toast-title", id: "title" }, title),
+			h("div", { class: "toast-message", id: "message" }, message),
+			h("div", { class: "actions" },
+				h("button", { class: "primary", style: "--accent: var(--eg-accent);", onclick: close }, i18n("buttonGotIt")),
+				h("button", { onclick: () => {
+					close();
+					try {
+						chrome.runtime.openOptionsPage();
+					} catch (error) {
+						console.error('Failed to open options page:', error);
+					}
+				} }, i18n("buttonAdjustSettings"))
+			)
+		);
+		toast.addEventListener("keydown", (event) => {
+			if (event.key === "Escape") close();
+		});
+		root.appendChild(toast);
+	}
+
+	// Staying too close escalates: the toast gives way to a banner that stays up, then the page
+	// dims behind it. The dim layer lets clicks and keys through. All of it comes down once the
+	// background reports a safe distance again.
+	function showProximityAlert(level, message = i18n("toastProximityMessage")) {
+		if (level !== "banner" && level !== "dim") {
+			createToast(message);
+			return;
+		}
+		removeShadowHost(PROXIMITY_TOAST.id);
+		showProximityBanner(message);
+		if (level === "dim") showPageDim();
+	}
+
+	function showProximityBanner(message) {
+		const existing = shadowHosts.get("proximity-banner");
+		if (existing) {
+			existing.root.querySelector(".toast-message").textContent = message;
+			return;
+		}
+		const root = createShadowHost("proximity-banner");
+		root.appendChild(h("div", { class: "proximity-banner", role: "alert", style: `--accent: ${PROXIMITY_TOAST.accent};` },
+			h("div", {},
+				h("div", { class: "toast-title" }, PROXIMITY_TOAST.title),
+				h("div", { class: "toast-message" }, message)
+			),
+			h("button", { onclick: () => {
+				try {
+					chrome.runtime.openOptionsPage();
+				} catch (error) {
+					console.error('Failed to open options page:', error);
+				}
+			} }, i18n("buttonAdjustSettings"))
+		));
+	}
+
+	function showPageDim() {
+		const root = createShadowHost("proximity-dim");
+		if (!root) return;
+		const dim = h("div", { class: "dim", "aria-hidden": "true" });
+		root.appendChild(dim);
+		requestAnimationFrame(() => dim.classList.add("visible"));
+	}
+
+	// Soft enforcement: the page blurs or dims more the closer the user leans in. The layer
+	// ignores the pointer and holds nothing focusable, so clicks and keys still reach the page.
+	function showSoftEnforcement(effect, strength) {
+		const root = createShadowHost("soft-enforcement") || shadowHosts.get("soft-enforcement").root;
+		let layer = root.querySelector(".soft-enforcement");
+		if (!layer) {
+			layer = h("div", { class: "soft-enforcement", "aria-hidden": "true" });
+			root.appendChild(layer);
+		}
+		const level = Math.min(Math.max(Number(strength) || 0, 0), 1);
+		layer.style.backgroundColor = effect === "dim" ? `rgba(0, 0, 0, ${(0.6 * level).toFixed(2)})` : "transparent";
+		layer.style.backdropFilter = effect === "blur" ? `blur(${(8 * level).toFixed(1)}px)` : "none";
+	}
+
+	function clearSoftEnforcement() {
+		removeShadowHost("soft-enforcement");
+	}
+
+	function clearProximityAlert() {
+		removeShadowHost(PROXIMITY_TOAST.id);
+		removeShadowHost("proximity-banner");
+		removeShadowHost("proximity-dim");
+	}
+
+	function formatPostureMessage(issues = []) {
+		return issues.map(issue => POSTURE_MESSAGES[issue]).filter(Boolean).join(" ") || i18n("postureGeneric");
+	}
+
+	function formatDistanceMessage(distanceCm, minDistanceCm) {
+		if (!Number.isFinite(distanceCm) || !Number.isFinite(minDistanceCm)) return undefined;
+		return i18n("toastProximityDistance", distanceCm, minDistanceCm);
+	}
+
+	function showBlinkCue() {
+		const root = createShadowHost("blink-cue");
+		if (!root) return;
+		const cue = h("div", { class: "cue", role: "status" }, i18n("blinkCue"));
+		root.appendChild(cue);
+		// Fade in, then out again without needing any interaction
+		requestAnimationFrame(() => cue.classList.add("visible"));
+		setTimeout(() => cue.classList.remove("visible"), 4000);
+		setTimeout(() => removeShadowHost("blink-cue"), 4600);
 	}
 
 	// Make createToast globally available for testing
 	window.createToast = createToast;
 
-	function showBreakOverlay(durationSeconds) {
-		if (breakOverlayEl) return;
-		const overlay = document.createElement("div");
-		breakOverlayEl = overlay;
-		overlay.style.position = "fixed";
-		overlay.style.inset = "0";
-		overlay.style.background = "rgba(2, 132, 199, 0.9)";
-		overlay.style.backdropFilter = "blur(2px)";
-		overlay.style.zIndex = 999999;
-		overlay.style.display = "flex";
-		overlay.style.alignItems = "center";
-		overlay.style.justifyContent = "center";
-		overlay.style.fontFamily = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-		const card = document.createElement("div");
-		card.style.background = "#fff";
-		card.style.borderRadius = "14px";
-		card.style.boxShadow = "0 10px 30px rgba(0,0,0,.25)";
-		card.style.padding = "20px 22px";
-		card.style.width = "min(420px, 90vw)";
-		card.innerHTML = `<div style="font-weight:800; font-size:20px; margin-bottom:6px; color:#0b8793;">Time for a Break!</div>
-			<div style="font-size:14px; color:#334155; margin-bottom:12px;">You've been looking at the screen for 20 minutes. Look 20 feet away for 20 seconds.</div>
-			<div id="eyeguard-countdown" style="font-weight:800; font-size:32px; text-align:center; margin:8px 0 16px; color:#0f172a;">${durationSeconds}</div>
-			<div style="display:flex; gap:8px; justify-content:flex-end;">
-				<button id="eyeguard-start-break" style="padding:10px 12px; border:none; background:#0b8793; color:#fff; border-radius:8px; cursor:pointer;">Start Break</button>
-				<button id="eyeguard-skip-break" style="padding:10px 12px; border:1px solid #e5e7eb; background:#fff; color:#111827; border-radius:8px; cursor:pointer;">Skip This Time</button>
-			</div>`;
-		overlay.appendChild(card);
-		document.body.appendChild(overlay);
-
-		const startBtn = document.getElementById("eyeguard-start-break");
-		const skipBtn = document.getElementById("eyeguard-skip-break");
-		startBtn.onclick = () => startCountdown(durationSeconds);
-		skipBtn.onclick = () => {
+	const BREAK_STYLES = {
+		micro: {
+			title: i18n("breakMicroTitle"),
+			// Only used if the background sent no text; it normally fills in the configured interval
+			message: i18n("breakMicroMessage", i18nPlural("minutes", 20), i18nPlural("seconds", 20)),
+			backdrop: "rgba(2, 132, 199, 0.9)",
+			accent: "#0b8793"
+		},
+		long: {
+			title: i18n("breakLongTitle"),
+			message: i18n("longBreakDefaultMessage"),
+			backdrop: "rgba(21, 128, 61, 0.92)",
+			accent: "#15803d"
+		}
+	};
+
+	function formatCountdown(secs) {
+		if (secs < 60) return String(secs);
+		return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+	}
+
+	// Spoken form for screen readers, e.g. "1 minute 30 seconds"
+	function describeCountdown(secs) {
+		const minutes = Math.floor(secs / 60);
+		const seconds = secs % 60;
+		const parts = [];
+		if (minutes) parts.push(i18nPlural("minutes", minutes));
+		if (seconds || !minutes) parts.push(i18nPlural("seconds", seconds));
+		return parts.join(" ");
+	}
+
+	function focusableButtons(root) {
+		return [...root.querySelectorAll("button")].filter(button => !button.disabled && !button.hidden);
+	}
+
+	// "banner", "overlay" or "blur": strict mode escalates with each snooze, otherwise the site rule decides
+	function breakPresentation(siteMode, policy) {
+		if (policy) return policy.escalation;
+		return siteMode === SITE_RULE_MODES.BANNER ? "banner" : "overlay";
+	}
+
+	// Strict mode hides Skip and ignores Esc until unlockAt
+	function lockSkipUntil(unlockAt) {
+		if (!breakUi) return;
+		clearTimeout(breakUi.unlockTimer);
+		const skipBtn = breakUi.root.querySelector("button.skip");
+		const unlock = () => {
+			breakUi.locked = false;
+			if (skipBtn) skipBtn.hidden = false;
+		};
+		const waitMs = unlockAt - Date.now();
+		if (waitMs <= 0) {
+			unlock();
+			return;
+		}
+		breakUi.locked = true;
+		if (skipBtn) skipBtn.hidden = true;
+		breakUi.unlockTimer = setTimeout(unlock, waitMs);
+	}
+
+	// A banner is the same card pinned to a corner, leaving the page usable underneath.
+	// The full overlay is a modal dialog: it takes focus, keeps Tab inside and gives focus back when closed.
+	// policy carries the strict mode rules, or is null when strict mode is off.
+	function showBreakOverlay(durationSeconds, { kind = "micro", message, presentation = "overlay", policy = null } = {}) {
+		const root = createShadowHost("break");
+		if (!root) return;
+		const style = BREAK_STYLES[kind] || BREAK_STYLES.micro;
+		const banner = presentation === "banner";
+
+		const snooze = () => {
 			cleanupOverlay();
 			try {
 				chrome.runtime.sendMessage({ type: "eyeguard.break.snooze" });
@@ -79,20 +317,140 @@
 				console.error('Failed to send snooze message:', error);
 			}
 		};
+		const startBtn = h("button", { class: "primary", onclick: () => requestBreakStart(durationSeconds, kind) }, i18n("buttonStartBreak"));
+		const skipBtn = h("button", { class: "skip", onclick: () => {
+			cleanupOverlay();
+			try {
+				chrome.runtime.sendMessage({ type: "eyeguard.break.snooze", reason: "skip" });
+			} catch (error) {
+				console.error('Failed to send snooze message:', error);
+			}
+		} }, i18n("buttonSkipBreak"));
+
+		// Out of skips today: only Start, or Esc to snooze
+		const canSkip = !policy || policy.skipsLeft > 0;
+
+		const overlay = h("div", { class: presentation === "overlay" ? "overlay" : `overlay ${presentation}`, style: `--accent: ${style.accent}; --backdrop: ${style.backdrop};` },
+			h("div", {
+				class: "card",
+				role: "dialog",
+				"aria-modal": String(!banner),
+				"aria-labelledby": "break-title",
+				"aria-describedby": "break-message"
+			},
+				h("div", { class: "break-title", id: "break-title" }, style.title),
+				h("div", { class: "break-message", id: "break-message" }, message || style.message),
+				h("div", { class: "countdown", "aria-hidden": "true" }, formatCountdown(durationSeconds)),
+				h("div", { class: "activity", hidden: "" },
+					h("div", { class: "activity-header" }, h("span", { class: "activity-name" }), h("span", { class: "activity-progress" })),
+					h("div", { class: "activity-visual", "aria-hidden": "true" }, h("div", { class: "activity-dot" })),
+					h("div", { class: "activity-step" })
+				),
+				h("div", { class: "sr-only", role: "status", "aria-live": "polite" }),
+				h("div", { class: "actions break-actions" }, startBtn, ...(canSkip ? [skipBtn] : []))
+			)
+		);
+		root.appendChild(overlay);
+
+		const onKeyDown = (event) => {
+			if (event.key === "Escape") {
+				event.preventDefault();
+				event.stopPropagation();
+				if (!breakUi?.locked) snooze();
+				return;
+			}
+			if (event.key !== "Tab" || banner) return;
+			// Cycle focus between the card's buttons
+			const buttons = focusableButtons(root);
+			if (buttons.length === 0) return;
+			const index = buttons.indexOf(root.activeElement);
+			const next = event.shiftKey ? index - 1 : index + 1;
+			event.preventDefault();
+			buttons[(next + buttons.length) % buttons.length].focus();
+		};
+		const onFocusIn = (event) => {
+			// Focus wandering back into the page while modal is pulled back to the dialog
+			if (event.target !== breakUi?.host) focusableButtons(root)[0]?.focus();
+		};
+		// The modal overlay handles keys page-wide and traps Tab; the banner only while it has focus
+		const keyTarget = banner ? overlay : document;
+		keyTarget.addEventListener("keydown", onKeyDown, true);
+		if (!banner) document.addEventListener("focusin", onFocusIn, true);
+
+		breakUi = {
+			...shadowHosts.get("break"),
+			previousFocus: banner ? null : document.activeElement,
+			removeListeners: () => {
+				keyTarget.removeEventListener("keydown", onKeyDown, true);
+				document.removeEventListener("focusin", onFocusIn, true);
+			},
+			policy,
+			locked: false,
+			unlockTimer: null
+		};
+		if (policy?.skipDelaySeconds) lockSkipUntil(Date.now() + policy.skipDelaySeconds * 1000);
+		if (!banner) startBtn.focus();
+	}
+
+	// The background owns the break session; its session update starts the countdown in every tab
+	function requestBreakStart(secs, kind) {
+		if (!breakUi) return;
+		// The Start button is done; keep focus on Skip so Esc and Tab still work
+		breakUi.root.querySelector("button.primary").disabled = true;
+		focusableButtons(breakUi.root)[0]?.focus();
+		try {
+			chrome.runtime.sendMessage({ type: "eyeguard.break.started", kind, durationSeconds: secs });
+		} catch (error) {
+			console.error('Failed to send started message:', error);
+		}
+	}
+
+	// Shows the activity step for this moment of the break; returns its text when the step changed
+	function updateActivity(activity, startedAt, endsAt) {
+		const container = breakUi.root.querySelector(".activity");
+		const step = activityStepAt(activity, Date.now() - startedAt, endsAt - startedAt);
+		if (!container.hidden && Number(container.dataset.step) === step.index) return null;
+		container.hidden = false;
+		container.dataset.step = step.index;
+		container.querySelector(".activity-name").textContent = i18n(activity.nameKey);
+		container.querySelector(".activity-progress").textContent = i18n("activityStepProgress", step.index + 1, activity.steps.length);
+		container.querySelector(".activity-visual").dataset.animation = step.animation;
+		container.querySelector(".activity-step").textContent = i18n(step.key);
+		return i18n(step.key);
 	}
 
-	function startCountdown(secs) {
-		const label = document.getElementById("eyeguard-countdown");
-		let remaining = secs;
+	// Counts down to the session's shared end time, so every tab shows the same number
+	// and the same activity step
+	function runCountdown({ startedAt, endsAt, kind, activity: activityId }) {
+		if (!breakUi || breakUi.endsAt === endsAt) return;
+		breakUi.endsAt = endsAt;
+		const root = breakUi.root;
+		const label = root.querySelector(".countdown");
+		const announcer = root.querySelector('[role="status"]');
+		const activity = findActivity(activityId);
+		const secondsLeft = () => Math.max(Math.ceil((endsAt - Date.now()) / 1000), 0);
 		if (countdownInterval) clearInterval(countdownInterval);
+		root.querySelector("button.primary").disabled = true;
+		// Strict mode's minimum break: Skip waits again, counted from the shared start
+		if (breakUi.policy?.skipDelaySeconds) lockSkipUntil(startedAt + breakUi.policy.skipDelaySeconds * 1000);
+		label.textContent = formatCountdown(secondsLeft());
+		const firstStep = activity ? updateActivity(activity, startedAt, endsAt) : null;
+		announcer.textContent = [i18n("breakStartedAnnouncement", describeCountdown(secondsLeft())), firstStep].filter(Boolean).join(" ");
 		countdownInterval = setInterval(() => {
-			remaining -= 1;
-			label.textContent = String(remaining);
+			const remaining = secondsLeft();
+			label.textContent = formatCountdown(remaining);
+			// A new step's instruction is read out; otherwise the time every 10 seconds, as every second would drown out everything else
+			const nextStep = activity && remaining > 0 ? updateActivity(activity, startedAt, endsAt) : null;
+			if (nextStep) {
+				announcer.textContent = nextStep;
+			} else if (remaining > 0 && remaining % 10 === 0) {
+				announcer.textContent = i18n("breakRemainingAnnouncement", describeCountdown(remaining));
+			}
 			if (remaining <= 0) {
-				clearInterval(countdownInterval);
+				// Every tab reports; the background only counts the first
 				cleanupOverlay();
 				try {
-					chrome.runtime.sendMessage({ type: "eyeguard.break.completed" });
+					chrome.runtime.sendMessage({ type: "eyeguard.break.completed", kind });
 				} catch (error) {
 					console.error('Failed to send completed message:', error);
 				}
@@ -101,26 +459,118 @@
 	}
 
 	function cleanupOverlay() {
-		if (breakOverlayEl) {
-			breakOverlayEl.remove();
-			breakOverlayEl = null;
+		if (countdownInterval) {
+			clearInterval(countdownInterval);
+			countdownInterval = null;
+		}
+		if (breakUi) {
+			clearTimeout(breakUi.unlockTimer);
+			breakUi.removeListeners();
+			removeShadowHost("break");
+			breakUi.previousFocus?.focus?.();
+			breakUi = null;
 		}
 	}
 
-	chrome.runtime.onMessage.addListener((message) => {
+	// Site rule for this page, read fresh so edits in the options page apply without a reload
+	async function getSiteMode() {
 		try {
+			const { settings } = await chrome.storage.local.get("settings");
+			return siteModeFor({ siteRules: settings?.siteRules || [] }, location.href);
+		} catch (error) {
+			console.error('Failed to read site rules:', error);
+			return SITE_RULE_MODES.OVERLAY;
+		}
+	}
+
+	// Resolves to whether the user can see the UI right now, so the background knows
+	// when to fall back to a system notification
+	async function handleMessage(message) {
+		try {
+			// The session was skipped, snoozed or finished somewhere: close this tab's overlay too
+			if (message?.type === "eyeguard.break.session" && message.status !== "on-break") {
+				if (message.status !== "reminder-pending") cleanupOverlay();
+				return false;
+			}
+			if (message?.type === "eyeguard.proximity.cleared") {
+				clearProximityAlert();
+				return false;
+			}
+			if (message?.type === "eyeguard.proximity.safe") {
+				clearSoftEnforcement();
+				return false;
+			}
+			
+			const siteMode = await getSiteMode();
+			if (siteMode === SITE_RULE_MODES.DEFER) return false;
+			
 			if (message?.type === "eyeguard.proximity.warning") {
-				console.log('EyeGuard: Content script received proximity warning');
-				createToast("Too close to screen");
+				console.log('EyeGuard: Content script received proximity warning', message.level);
+				showProximityAlert(message.level, formatDistanceMessage(message.distanceCm, message.minDistanceCm));
+			}
+			if (message?.type === "eyeguard.proximity.too-close") {
+				showSoftEnforcement(message.effect, message.strength);
+			}
+			if (message?.type === "eyeguard.posture.warning") {
+				createToast(formatPostureMessage(message.issues), POSTURE_TOAST);
 			}
-			if (message?.type === "eyeguard.break.reminder") {
-				showBreakOverlay(20);
+			if (message?.type === "eyeguard.blink.reminder") {
+				showBlinkCue();
 			}
-			if (message?.type === "eyeguard.break.start") {
-				showBreakOverlay(message?.durationSeconds || 20);
+			if (message?.type === "eyeguard.break.reminder" || message?.type === "eyeguard.break.start") {
+				showBreakOverlay(message?.durationSeconds || 20, {
+					kind: message?.kind,
+					message: message?.message,
+					presentation: breakPresentation(siteMode, message?.policy),
+					policy: message?.policy
+				});
+				return document.visibilityState === "visible" && document.hasFocus();
+			}
+			if (message?.type === "eyeguard.break.session") {
+				const durationSeconds = Math.round((message.endsAt - message.startedAt) / 1000);
+				showBreakOverlay(durationSeconds, {
+					kind: message.kind,
+					message: message.message,
+					presentation: breakPresentation(siteMode, message.policy),
+					policy: message.policy
+				});
+				runCountdown(message);
 			}
 		} catch (error) {
 			console.error('Failed to handle message:', message, error);
 		}
+		return false;
+	}
+
+	// Fullscreen, video playback and calls let the background hold break reminders
+	const activity = { fullscreen: false, playingVideo: false, capturing: false };
+
+	function reportActivity(changes) {
+		if (Object.keys(changes).every(key => activity[key] === changes[key])) return;
+		Object.assign(activity, changes);
+		try {
+			chrome.runtime.sendMessage({ type: "eyeguard.activity.update", activity: { ...activity } });
+		} catch (error) {
+			console.error('Failed to report activity:', error);
+		}
+	}
+
+	function isVideoPlaying() {
+		return [...document.querySelectorAll("video")].some(video => !video.paused && !video.ended && video.readyState > 2);
+	}
+
+	document.addEventListener("fullscreenchange", () => reportActivity({ fullscreen: !!document.fullscreenElement }));
+	// Media events do not bubble, so listen in the capture phase
+	for (const type of ["playing", "pause", "ended", "emptied"]) {
+		document.addEventListener(type, () => reportActivity({ playingVideo: isVideoPlaying() }), true);
+	}
+	// Announced by mediaprobe.js from the page's own world
+	document.addEventListener("eyeguard-capture-change", (event) => reportActivity({ capturing: event.detail === true }));
+
+	chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+		if (typeof message?.type !== "string" || !message.type.startsWith("eyeguard.")) return false;
+		handleMessage(message).then(displayed => sendResponse({ displayed }));
+		// Keep the channel open until handleMessage resolves
+		return true;
 	});
 })(); 
\ No newline at end of file
@@ -0,0 +1,110 @@
+const DAILY_DAYS = 7;
+const WEEKLY_WEEKS = 8;
+
+let currentRange = "daily";
+
+function formatMinutes(minutes) {
+	if (minutes < 60) return i18n("durationMinutes", minutes);
+	const hours = Math.floor(minutes / 60);
+	const rest = minutes % 60;
+	return rest ? i18n("durationHoursMinutes", hours, rest) : i18n("durationHours", hours);
+}
+
+function formatPercent(ratio) {
+	return ratio === null ? "--" : `${Math.round(ratio * 100)}%`;
+}
+
+function dayLabel(day) {
+	const [year, month, date] = day.split("-").map(Number);
+	return new Date(year, month - 1, date).toLocaleDateString(undefined, { weekday: "short", day: "numeric" });
+}
+
+// Fold consecutive 7-day slices of daily summaries into weekly totals
+function groupByWeek(days) {
+	const weeks = [];
+	for (let i = 0; i < days.length; i += 7) {
+		const slice = days.slice(i, i + 7);
+		const week = { day: slice[0].day, screenMinutes: 0, reminders: 0, completed: 0, snoozed: 0, skipped: 0, proximityWarnings: 0 };
+		for (const day of slice) {
+			for (const key of Object.keys(week)) {
+				if (key !== "day") week[key] += day[key];
+			}
+		}
+		weeks.push(week);
+	}
+	return weeks;
+}
+
+function renderChart(id, entries, { value, format = String, warning = false }) {
+	const chart = document.getElementById(id);
+	chart.innerHTML = "";
+	
+	const values = entries.map(value);
+	const max = Math.max(1, ...values.filter(v => v !== null));
+	
+	entries.forEach((entry, i) => {
+		const column = document.createElement("div");
+		column.className = "bar-column";
+		
+		const label = document.createElement("div");
+		label.className = "bar-value";
+		label.textContent = values[i] === null ? "--" : format(values[i]);
+		
+		const bar = document.createElement("div");
+		bar.className = warning ? "bar warning" : "bar";
+		bar.style.height = `${((values[i] || 0) / max) * 100}%`;
+		
+		const caption = document.createElement("div");
+		caption.className = "bar-label";
+		caption.textContent = currentRange === "weekly" ? i18n("chartWeekLabel", dayLabel(entry.day)) : dayLabel(entry.day);
+		
+		column.append(label, bar, caption);
+		chart.appendChild(column);
+	});
+}
+
+function renderSummary(days) {
+	const today = days[days.length - 1];
+	const week = groupByWeek(days.slice(-7))[0];
+	
+	document.getElementById("stat-screen-time").textContent = formatMinutes(today.screenMinutes);
+	document.getElementById("stat-breaks").textContent = `${today.completed} / ${today.completed + today.snoozed + today.skipped}`;
+	document.getElementById("stat-compliance").textContent = formatPercent(breakCompliance(week));
+	document.getElementById("stat-proximity").textContent = String(today.proximityWarnings);
+}
+
+async function render() {
+	try {
+		const history = await getHistory();
+		const days = summarizeByDay(history, WEEKLY_WEEKS * 7);
+		const entries = currentRange === "weekly" ? groupByWeek(days) : days.slice(-DAILY_DAYS);
+		
+		renderSummary(days);
+		renderChart("chart-screen-time", entries, { value: e => e.screenMinutes, format: formatMinutes });
+		renderChart("chart-compliance", entries, { value: e => breakCompliance(e), format: formatPercent });
+		renderChart("chart-proximity", entries, { value: e => e.proximityWarnings, warning: true });
+	} catch (error) {
+		console.error('Failed to render statistics:', error);
+	}
+}
+
+document.querySelectorAll(".tab").forEach(tab => {
+	tab.addEventListener("click", () => {
+		currentRange = tab.dataset.range;
+		document.querySelectorAll(".tab").forEach(t => t.classList.toggle("active", t === tab));
+		render();
+	});
+});
+
+// Re-render as new events are recorded while the page is open
+chrome.storage.onChanged.addListener((changes, area) => {
+	if (area === "local" && (changes.history || changes.screenTime)) {
+		render();
+	}
+});
+
+watchTheme(theme => applyTheme(document.documentElement, theme));
+document.addEventListener("DOMContentLoaded", () => {
+	localizePage();
+	render();
+});
@@ -0,0 +1,48 @@
+// EyeGuard Default Settings
+// Stored settings are merged over these, so newly added keys always have a value.
+// Loaded by the background service worker (importScripts), the offscreen document, the popup and the options page.
+// Requires i18n.js, schedule.js and activities.js.
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    autoStart: true,
+    theme: "system",
+    proximityEnabled: true,
+    minDistanceCm: 50,
+    calibrationDistanceCm: 60,
+    proximityPeriodSeconds: 30,
+    postureEnabled: false,
+    postureMaxAngle: 20,
+    postureSamples: 3,
+    proximitySamples: 2,
+    proximityExitMarginCm: 5,
+    proximityCooldownSeconds: 60,
+    softEnforcement: 'off',
+    cameraPrivacyMode: false,
+    cameraDeviceId: '',
+    cameraResolution: '640x480',
+    cameraFrameRate: 30,
+    blinkEnabled: false,
+    blinkRateThreshold: 10,
+    blinkReminderMinutes: 10,
+    breaksEnabled: true,
+    breakIntervalMinutes: 20,
+    breakDurationSeconds: 20,
+    longBreaksEnabled: false,
+    longBreakIntervalMinutes: 60,
+    longBreakDurationMinutes: 5,
+    longBreakMessage: i18n('longBreakDefaultMessage'),
+    snoozeMinutes: 5,
+    scheduleEnabled: false,
+    schedule: DEFAULT_SCHEDULE,
+    scheduleOffDays: [],
+    siteRules: [],
+    autoDeferEnabled: true,
+    maxDeferMinutes: 30,
+    notificationsOnly: false,
+    breakActivities: [...ACTIVITY_IDS],
+    activityOrder: ACTIVITY_ORDERS.ROTATION,
+    strictMode: false,
+    dailySkipBudget: 3,
+    skipDelaySeconds: 10
+};
@@ -0,0 +1,117 @@
+// EyeGuard Event History
+// Persists break outcomes, proximity warnings and daily screen time.
+// Loaded by the background service worker (importScripts), the dashboard, popup and options pages.
+
+const HISTORY_RETENTION_DAYS = 90; // Events and screen time older than this are dropped
+const HISTORY_MAX_EVENTS = 5000; // Hard cap on stored events, oldest dropped first
+
+const HISTORY_EVENTS = {
+    BREAK_REMINDER: 'break.reminder',
+    BREAK_COMPLETED: 'break.completed',
+    BREAK_SNOOZED: 'break.snoozed',
+    BREAK_SKIPPED: 'break.skipped',
+    PROXIMITY_WARNING: 'proximity.warning',
+    BLINK_REMINDER: 'blink.reminder',
+    POSTURE_WARNING: 'posture.warning'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Writes are serialized so concurrent messages cannot overwrite each other's updates
+let historyWriteQueue = Promise.resolve();
+
+function enqueueHistoryWrite(task) {
+    const run = historyWriteQueue.then(task);
+    historyWriteQueue = run.catch((error) => {
+        console.error('EyeGuard: History write failed:', error);
+    });
+    return run;
+}
+
+// Local calendar day, e.g. "2024-05-31"
+function dayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function pruneEvents(events, now) {
+    const cutoff = now - HISTORY_RETENTION_DAYS * DAY_MS;
+    return events.filter(event => event.timestamp >= cutoff).slice(-HISTORY_MAX_EVENTS);
+}
+
+function pruneScreenTime(screenTime, now) {
+    const cutoff = dayKey(now - HISTORY_RETENTION_DAYS * DAY_MS);
+    return Object.fromEntries(Object.entries(screenTime).filter(([day]) => day >= cutoff));
+}
+
+// Append an event such as HISTORY_EVENTS.BREAK_COMPLETED with optional details
+function recordEvent(type, details = {}) {
+    return enqueueHistoryWrite(async () => {
+        const now = Date.now();
+        const { history = [] } = await chrome.storage.local.get('history');
+        history.push({ type, timestamp: now, ...details });
+        await chrome.storage.local.set({ history: pruneEvents(history, now) });
+    });
+}
+
+// Add one minute of active screen time to today's total
+function recordActiveMinute() {
+    return enqueueHistoryWrite(async () => {
+        const now = Date.now();
+        const { screenTime = {} } = await chrome.storage.local.get('screenTime');
+        const today = dayKey(now);
+        screenTime[today] = (screenTime[today] || 0) + 1;
+        await chrome.storage.local.set({ screenTime: pruneScreenTime(screenTime, now) });
+    });
+}
+
+async function getHistory() {
+    const { history = [], screenTime = {} } = await chrome.storage.local.get(['history', 'screenTime']);
+    return { events: history, screenTime };
+}
+
+// Per-day totals for the last `days` days, oldest first
+function summarizeByDay({ events, screenTime }, days, now = Date.now()) {
+    const summaries = new Map();
+    // Step back by calendar days from local midnight; days around a DST change are not 24 h long
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    for (let i = days - 1; i >= 0; i--) {
+        const date = new Date(today);
+        date.setDate(today.getDate() - i);
+        const day = dayKey(date.getTime());
+        summaries.set(day, {
+            day,
+            screenMinutes: screenTime[day] || 0,
+            reminders: 0,
+            completed: 0,
+            snoozed: 0,
+            skipped: 0,
+            proximityWarnings: 0
+        });
+    }
+    
+    const counters = {
+        [HISTORY_EVENTS.BREAK_REMINDER]: 'reminders',
+        [HISTORY_EVENTS.BREAK_COMPLETED]: 'completed',
+        [HISTORY_EVENTS.BREAK_SNOOZED]: 'snoozed',
+        [HISTORY_EVENTS.BREAK_SKIPPED]: 'skipped',
+        [HISTORY_EVENTS.PROXIMITY_WARNING]: 'proximityWarnings'
+    };
+    
+    for (const event of events) {
+        const summary = summaries.get(dayKey(event.timestamp));
+        const counter = counters[event.type];
+        if (summary && counter) summary[counter]++;
+    }
+    
+    return [...summaries.values()];
+}
+
+// Share of break outcomes that were completed breaks, or null when there were none
+function breakCompliance({ completed, snoozed, skipped }) {
+    const outcomes = completed + snoozed + skipped;
+    return outcomes > 0 ? completed / outcomes : null;
+}
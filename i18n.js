@@ -0,0 +1,26 @@
+// EyeGuard Localization
+// Thin helpers over chrome.i18n; the catalogue lives in _locales/<lang>/messages.json.
+// Loaded by the background service worker (importScripts), the content script and every page.
+
+// Message with positional substitutions ($1, $2, ...); falls back to the key so a missing entry is visible
+function i18n(key, ...substitutions) {
+    return chrome.i18n.getMessage(key, substitutions.map(String)) || key;
+}
+
+// chrome.i18n has no plurals, so each count form is its own entry: minutes_one, minutes_other,
+// plus minutes_few / minutes_many where a language needs them
+function i18nPlural(base, count) {
+    const category = new Intl.PluralRules(chrome.i18n.getUILanguage()).select(count);
+    return chrome.i18n.getMessage(`${base}_${category}`, [String(count)]) ||
+        chrome.i18n.getMessage(`${base}_other`, [String(count)]) ||
+        `${count} ${base}`;
+}
+
+// Fills elements marked data-i18n (text), data-i18n-placeholder, data-i18n-title and data-i18n-aria-label
+function localizePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = i18n(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = i18n(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = i18n(el.dataset.i18nTitle); });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => { el.setAttribute('aria-label', i18n(el.dataset.i18nAriaLabel)); });
+    if (root === document) document.documentElement.lang = chrome.i18n.getUILanguage();
+}
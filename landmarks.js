@@ -0,0 +1,139 @@
+// EyeGuard face landmark geometry
+// Shared by the offscreen detector and the options page calibration wizard
+
+const AVERAGE_IPD_CM = 6.3; // Average adult interpupillary distance
+const CALIBRATION_METHOD = 'facemesh-ipd'; // Baselines from other measurements are discarded
+
+// FaceMesh landmark indices for the outer and inner corner of each eye
+const RIGHT_EYE_CORNERS = [33, 133];
+const LEFT_EYE_CORNERS = [263, 362];
+
+// Reference points for head orientation
+const FOREHEAD = 10;
+const CHIN = 152;
+const RIGHT_CHEEK = 234;
+const LEFT_CHEEK = 454;
+
+// Eye contour points for the eye aspect ratio: [outer, upper1, upper2, inner, lower2, lower1]
+const RIGHT_EYE_CONTOUR = [33, 160, 158, 133, 153, 144];
+const LEFT_EYE_CONTOUR = [263, 387, 385, 362, 380, 373];
+
+// Create a FaceMesh instance for the bundled mediapipe/ assets.
+// detect(image) resolves to the landmarks of the first face, or null.
+async function createFaceDetector() {
+    if (typeof FaceMesh === 'undefined') {
+        throw new Error('MediaPipe FaceMesh not loaded');
+    }
+    
+    let lastResults = null;
+    const faceMesh = new FaceMesh({
+        locateFile: (file) => `mediapipe/${file}`
+    });
+    faceMesh.setOptions({
+        maxNumFaces: 1,
+        refineLandmarks: false,
+        minDetectionConfidence: 0.5,
+        minTrackingConfidence: 0.5
+    });
+    faceMesh.onResults((results) => {
+        lastResults = results;
+    });
+    
+    await faceMesh.initialize();
+    
+    return {
+        async detect(image) {
+            lastResults = null;
+            // send() resolves after onResults has been called for this frame
+            await faceMesh.send({ image });
+            
+            const faces = lastResults && lastResults.multiFaceLandmarks;
+            return faces && faces.length > 0 ? faces[0] : null;
+        },
+        close() {
+            return faceMesh.close();
+        }
+    };
+}
+
+// Interpupillary distance in pixels, from the centres of the two eyes
+function measureInterpupillaryDistance(landmarks, width, height) {
+    const eyeCenter = ([outer, inner]) => ({
+        x: (landmarks[outer].x + landmarks[inner].x) / 2 * width,
+        y: (landmarks[outer].y + landmarks[inner].y) / 2 * height
+    });
+    
+    const right = eyeCenter(RIGHT_EYE_CORNERS);
+    const left = eyeCenter(LEFT_EYE_CORNERS);
+    
+    return Math.hypot(left.x - right.x, left.y - right.y);
+}
+
+// Build calibration data from the eye distance measured at a known viewing distance
+function createCalibrationData(ipdPx, calibrationDistanceCm, frameWidth, source) {
+    // Pinhole camera model: focal = size_px * distance / size_real
+    return {
+        focalLengthPx: ipdPx * calibrationDistanceCm / AVERAGE_IPD_CM,
+        baselineIpdPx: ipdPx,
+        calibrationDistanceCm,
+        frameWidth,
+        method: CALIBRATION_METHOD,
+        source,
+        timestamp: Date.now()
+    };
+}
+
+// Estimate viewing distance in centimetres from the measured eye distance
+function estimateDistanceCm(calibrationData, ipdPx, frameWidth) {
+    // Focal length in pixels scales with the frame width
+    const focalLengthPx = calibrationData.focalLengthPx * (frameWidth / calibrationData.frameWidth);
+    return focalLengthPx * AVERAGE_IPD_CM / ipdPx;
+}
+
+// Eye aspect ratio (Soukupová & Čech): drops towards 0 as the eye closes
+function eyeAspectRatio(landmarks, [p1, p2, p3, p4, p5, p6], width, height) {
+    const dist = (a, b) => Math.hypot(
+        (landmarks[a].x - landmarks[b].x) * width,
+        (landmarks[a].y - landmarks[b].y) * height
+    );
+    return (dist(p2, p6) + dist(p3, p5)) / (2 * dist(p1, p4));
+}
+
+// Mean eye aspect ratio of both eyes
+function averageEyeAspectRatio(landmarks, width, height) {
+    return (eyeAspectRatio(landmarks, RIGHT_EYE_CONTOUR, width, height) +
+        eyeAspectRatio(landmarks, LEFT_EYE_CONTOUR, width, height)) / 2;
+}
+
+// Head orientation in degrees from the 3D cheek-to-cheek and forehead-to-chin axes.
+// yaw: turned sideways, pitch: positive when looking down, roll: tilted towards a shoulder.
+function estimateHeadPose(landmarks, width, height) {
+    // Landmark z uses roughly the same scale as x
+    const point = (i) => ({ x: landmarks[i].x * width, y: landmarks[i].y * height, z: landmarks[i].z * width });
+    const axis = (from, to) => {
+        const a = point(from), b = point(to);
+        return { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+    };
+    const toDegrees = (radians) => radians * 180 / Math.PI;
+    
+    const horizontal = axis(RIGHT_CHEEK, LEFT_CHEEK);
+    const vertical = axis(FOREHEAD, CHIN);
+    
+    return {
+        yaw: toDegrees(Math.atan2(horizontal.z, horizontal.x)),
+        pitch: toDegrees(Math.atan2(vertical.z, vertical.y)),
+        roll: toDegrees(Math.atan2(horizontal.y, horizontal.x))
+    };
+}
+
+// Centre of the face within the frame, normalized to [0, 1]
+function estimateFacePosition(landmarks) {
+    let minX = 1, minY = 1, maxX = 0, maxY = 0;
+    for (const point of landmarks) {
+        if (point.x < minX) minX = point.x;
+        if (point.x > maxX) maxX = point.x;
+        if (point.y < minY) minY = point.y;
+        if (point.y > maxY) maxY = point.y;
+    }
+    return { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+}
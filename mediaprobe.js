@@ -0,0 +1,83 @@
+// EyeGuard media probe, injected into the page's own JavaScript world at document_start in every frame.
+// Content scripts cannot see the page's getUserMedia calls, so this wraps them and
+// announces whether any camera, microphone or screen capture is live (a call or screen share).
+// Calls embedded in iframes report to the top frame, which announces for the whole tab.
+(function () {
+	// Capture APIs only exist in secure contexts; leave everything else untouched
+	if (!window.isSecureContext || typeof MediaDevices !== "function" || typeof MediaStreamTrack !== "function") return;
+	if (typeof MediaDevices.prototype.getUserMedia !== "function") return;
+
+	const MESSAGE_TYPE = "eyeguard-capture-change";
+	const isTop = window.top === window;
+	const liveTracks = new Set();
+	// Subframes that reported a live capture
+	const liveFrames = new Set();
+
+	function isCapturing() {
+		if (liveTracks.size > 0) return true;
+		for (const frame of liveFrames) {
+			if (frame.closed) liveFrames.delete(frame);
+		}
+		return liveFrames.size > 0;
+	}
+
+	function announce() {
+		if (isTop) {
+			// Only primitives cross from the page world to the content script
+			document.dispatchEvent(new CustomEvent(MESSAGE_TYPE, { detail: isCapturing() }));
+		} else {
+			window.top.postMessage({ type: MESSAGE_TYPE, live: liveTracks.size > 0 }, "*");
+		}
+	}
+
+	function trackStream(stream) {
+		for (const track of stream.getTracks()) {
+			if (track.readyState !== "live") continue;
+			liveTracks.add(track);
+			track.addEventListener("ended", () => {
+				if (liveTracks.delete(track)) announce();
+			});
+		}
+		announce();
+		return stream;
+	}
+
+	// Proxies keep the native name and length and still print as native code, so page scripts
+	// that inspect these functions see no difference
+	function wrap(owner, method, after) {
+		const original = owner[method];
+		if (typeof original !== "function") return;
+		owner[method] = new Proxy(original, {
+			apply(target, thisArg, args) {
+				return after(Reflect.apply(target, thisArg, args), thisArg);
+			}
+		});
+	}
+
+	wrap(MediaDevices.prototype, "getUserMedia", (promise) => promise.then(trackStream));
+	wrap(MediaDevices.prototype, "getDisplayMedia", (promise) => promise.then(trackStream));
+	// stop() does not fire "ended", so catch it here
+	wrap(MediaStreamTrack.prototype, "stop", (result, track) => {
+		if (liveTracks.delete(track)) announce();
+		return result;
+	});
+
+	if (isTop) {
+		window.addEventListener("message", (event) => {
+			if (event.data?.type !== MESSAGE_TYPE || !event.source || event.source === window) return;
+			if (event.data.live === true) {
+				liveFrames.add(event.source);
+			} else {
+				liveFrames.delete(event.source);
+			}
+			announce();
+		});
+	} else {
+		// A removed or navigated frame takes its capture with it
+		window.addEventListener("pagehide", () => {
+			if (liveTracks.size === 0) return;
+			liveTracks.clear();
+			announce();
+		});
+	}
+})();
@@ -1,17 +1,50 @@
-// Simplified EyeGuard Proximity Detection
-// This version uses basic face detection without MediaPipe WebAssembly
+// EyeGuard Proximity Detection
+// Uses the bundled MediaPipe FaceMesh to estimate viewing distance from landmarks
 // Updated to use message passing for storage operations
 
 let video, canvas, ctx;
+let faceDetector = null;
 let initialized = false;
 let isProcessing = false;
+let cameraStream = null; // Live getUserMedia stream, null while the camera is released
 let calibrationData = null;
-let lastSampleTime = 0;
+let cameraKey = DEFAULT_CAMERA_KEY; // Calibration key of the camera this document opens, see calibrationKey()
+let calibrationRequested = false; // Whether the user was already asked to run the wizard
+let blinkBursts = []; // { timestamp, blinks, observedMs } per burst, within BLINK_WINDOW_MS
+let lastBlinkReminderTime = 0;
+let badPostureSamples = 0; // Consecutive samples with bad posture
+let lastPostureWarningTime = 0;
+let proximityAlert = { closeSamples: 0, level: -1, lastAlertAt: 0 }; // level indexes PROXIMITY_ALERT_LEVELS, -1 while clear
+let softEnforcementActive = false; // Whether the active tab was last told the user is too close
+let sampling = { timer: null, intervalMs: 0, reason: 'starting', idleState: 'active' };
 
-// Configuration
-const SAMPLE_INTERVAL = 2000; // 2 seconds between samples
-const CALIBRATION_SAMPLES = 5; // Number of samples for calibration
-const PROXIMITY_THRESHOLD = 0.7; // Default threshold
+// Privacy mode opens the camera for each sample or blink burst and stops it straight after
+const CAMERA_START_TIMEOUT_MS = 5000; // Give up waiting for the first frame after this long
+const CAMERA_WARMUP_MS = 500; // Let exposure settle on a freshly opened camera before measuring
+
+// Adaptive sampling: fast near the minimum distance, backing off up to proximityPeriodSeconds
+// while readings are comfortably safe or nobody is there, and paused while the user is idle
+const FAST_SAMPLE_MS = 1000; // About 1 Hz near the threshold
+const BACKOFF_START_MS = 4000; // First step of the back-off, doubling each sample after
+const NEAR_THRESHOLD_CM = 10; // Readings this close to the minimum distance count as near
+
+// Blink detection
+const BLINK_BURST_MS = 10000; // Length of one blink-counting burst
+const BLINK_FRAME_INTERVAL = 66; // ~15 fps during a burst, fast enough to catch a blink
+const BLINK_EAR_THRESHOLD = 0.21; // Eye aspect ratio below this counts as closed
+const BLINK_WINDOW_MS = 5 * 60 * 1000; // Rolling window the blink rate is computed over
+const BLINK_MIN_OBSERVED_MS = 30000; // Face time needed in the window before judging the rate
+
+// Proximity alerts: each alert while the user stays close is more insistent than the last
+const PROXIMITY_ALERT_LEVELS = ['toast', 'banner', 'dim'];
+
+// Soft enforcement: the page effect is at full strength this far inside the minimum distance
+const SOFT_ENFORCEMENT_FULL_RATIO = 0.3; // 30% closer than the minimum
+const SOFT_ENFORCEMENT_MIN_STRENGTH = 0.2; // Just past the minimum is already noticeable
+
+// Posture detection
+const POSTURE_MAX_OFF_CENTER = 0.35; // Max distance of the face centre from the frame centre
+const POSTURE_WARNING_COOLDOWN_MS = 5 * 60 * 1000; // Minimum time between posture warnings
 
 // Initialize the proximity detection system
 async function initialize() {
@@ -32,8 +65,19 @@ async function initialize() {
             throw new Error('Required DOM elements not found');
         }
         
-        // Initialize camera
-        await initializeCamera();
+        // Keep the camera open from the start, unless privacy mode opens it per sample
+        // or only blink bursts use it. The background script recreates this document when
+        // the chosen camera changes.
+        const settings = await getSettings();
+        cameraKey = calibrationKey(settings.cameraDeviceId);
+        if (!settings.cameraPrivacyMode && samplingWanted(settings)) {
+            await initializeCamera(settings);
+        }
+        
+        // Load the FaceMesh model and wasm runtime
+        updateStatus('Loading face model...');
+        faceDetector = await createFaceDetector();
+        console.log('EyeGuard: FaceMesh initialized');
         
         // Load calibration data
         await loadCalibrationData();
@@ -43,6 +87,14 @@ async function initialize() {
         
         console.log('EyeGuard: Proximity detection initialized');
         
+        // Start paused if the user is already away; blink-only use needs no sampling loop
+        sampling.idleState = await queryIdleState();
+        if (samplingWanted(settings)) {
+            scheduleSample(0);
+        } else {
+            setSamplingRate(0, 'disabled');
+        }
+        
     } catch (error) {
         console.error('EyeGuard: Failed to initialize proximity detection:', error);
         updateStatus('Error: ' + error.message);
@@ -68,70 +120,217 @@ async function waitForDOM() {
     });
 }
 
-// Initialize camera stream
-async function initializeCamera() {
-    console.log('EyeGuard: Requesting camera access...');
+// Open the chosen camera unless it is already live.
+// Resolves to true when it had to be opened, once the first frame is available.
+async function initializeCamera(settings) {
+    if (cameraStream) return false;
+    
+    console.log('EyeGuard: Requesting camera access...', settings.cameraDeviceId || 'default camera');
     
+    let stream;
     try {
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: {
-                width: { ideal: 640 },
-                height: { ideal: 480 },
-                facingMode: 'user'
-            },
+        stream = await navigator.mediaDevices.getUserMedia({
+            video: cameraConstraints(settings),
             audio: false
         });
-        
-        console.log('EyeGuard: Camera stream obtained:', stream);
-        video.srcObject = stream;
-        
-        // Set canvas size to match video
-        video.addEventListener('loadedmetadata', () => {
-            canvas.width = video.videoWidth;
-            canvas.height = video.videoHeight;
-            console.log('EyeGuard: Camera initialized successfully - dimensions:', video.videoWidth, 'x', video.videoHeight);
-            
-            // CRITICAL: Make sure video is playing
-            video.play().then(() => {
-                console.log('EyeGuard: Video is now playing');
-            }).catch(error => {
-                console.error('EyeGuard: Failed to play video:', error);
-            });
-        });
-        
-        console.log('EyeGuard: Camera stream attached to video element');
-        
     } catch (error) {
+        // A chosen camera that is unplugged fails its exact deviceId constraint
+        if (error.name === 'OverconstrainedError' || error.name === 'NotFoundError') {
+            console.error('EyeGuard: Chosen camera not available:', error);
+            throw new Error('Chosen camera not found');
+        }
         console.error('EyeGuard: Camera access denied:', error);
         throw new Error('Camera access required for proximity detection');
     }
+    
+    console.log('EyeGuard: Camera stream obtained:', stream);
+    cameraStream = stream;
+    video.srcObject = stream;
+    sendCameraState(true);
+    
+    // Wait for the first frame; a sample taken before it arrives reports the video as not ready
+    await new Promise(resolve => {
+        const timeout = setTimeout(resolve, CAMERA_START_TIMEOUT_MS);
+        video.addEventListener('loadeddata', () => {
+            clearTimeout(timeout);
+            resolve();
+        }, { once: true });
+    });
+    
+    // Set canvas size to match video
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    console.log('EyeGuard: Camera initialized successfully - dimensions:', video.videoWidth, 'x', video.videoHeight);
+    
+    // CRITICAL: Make sure video is playing
+    try {
+        await video.play();
+        console.log('EyeGuard: Video is now playing');
+    } catch (error) {
+        console.error('EyeGuard: Failed to play video:', error);
+    }
+    return true;
 }
 
-// Simple proximity detection based on face size estimation
-async function performSample() {
-    if (!initialized || isProcessing) return;
+// Stop every track so the camera (and its light) is really off
+function releaseCamera() {
+    if (!cameraStream) return;
     
-    const now = Date.now();
-    if (now - lastSampleTime < SAMPLE_INTERVAL) return;
+    cameraStream.getTracks().forEach(track => track.stop());
+    cameraStream = null;
+    video.srcObject = null;
+    console.log('EyeGuard: Camera released');
+    sendCameraState(false);
+}
+
+// Open the camera for a sample or burst, giving a freshly opened one time to settle
+async function acquireCamera(settings) {
+    if (await initializeCamera(settings)) {
+        await new Promise(resolve => setTimeout(resolve, CAMERA_WARMUP_MS));
+    }
+}
+
+// The background script shows on the toolbar icon whether the camera is live
+function sendCameraState(active) {
+    chrome.runtime.sendMessage({ type: 'eyeguard.camera.state', active }, () => {
+        if (chrome.runtime.lastError) {
+            console.warn('EyeGuard: Failed to report camera state:', chrome.runtime.lastError.message);
+        }
+    });
+}
+
+// One sampling step, then the next one is timed from what it saw.
+// sampling.timer stays set while a step runs, so the watchdog does not start a second loop.
+async function runSamplingLoop() {
+    if (sampling.idleState !== 'active') {
+        sampling.timer = null;
+        setSamplingRate(0, sampling.idleState);
+        return;
+    }
+    
+    const settings = await getSettings();
+    if (!samplingWanted(settings)) {
+        // Proximity and posture both switched off: stop until the background watchdog restarts the loop
+        sampling.timer = null;
+        setSamplingRate(0, 'disabled');
+        return;
+    }
+    
+    const outcome = await performSample(settings);
+    const { intervalMs, reason } = outcome ? nextSampleRate(outcome, settings) : sampling;
+    setSamplingRate(intervalMs || FAST_SAMPLE_MS, reason);
+    // Idle may have been reported while the sample ran, and the sample may have reopened the camera
+    if (sampling.idleState === 'active') {
+        scheduleSample(sampling.intervalMs);
+    } else {
+        releaseCamera();
+        setSamplingRate(0, sampling.idleState);
+    }
+}
+
+// The sampling loop serves distance and posture checks; blink bursts are requested separately
+function samplingWanted(settings) {
+    return settings.proximityEnabled || settings.postureEnabled;
+}
+
+function scheduleSample(delayMs) {
+    clearTimeout(sampling.timer);
+    sampling.timer = setTimeout(runSamplingLoop, delayMs);
+}
+
+// Picks how long to wait after a sample and why
+function nextSampleRate(outcome, settings) {
+    // A denied, busy or unplugged camera is retried ever more slowly, not every second
+    if (outcome.failed) return backOff('camera-error', settings);
+    if (outcome.uncalibrated) return backOff('uncalibrated', settings);
+    
+    const reading = outcome.reading;
+    const near = reading && (reading.distanceCm < reading.minDistanceCm + NEAR_THRESHOLD_CM ||
+        proximityAlert.level >= 0 || softEnforcementActive);
+    if (near) return { intervalMs: FAST_SAMPLE_MS, reason: 'near-threshold' };
+    
+    return backOff(outcome.face ? 'safe' : 'no-face', settings);
+}
+
+// Back off, doubling each time the same reason repeats, up to the configured period
+function backOff(reason, settings) {
+    const maxMs = Math.max(settings.proximityPeriodSeconds * 1000, BACKOFF_START_MS);
+    const intervalMs = sampling.reason === reason ? Math.min(sampling.intervalMs * 2, maxMs) : BACKOFF_START_MS;
+    return { intervalMs, reason };
+}
+
+// Keeps the current rate and its reason, and tells the background when they change
+function setSamplingRate(intervalMs, reason) {
+    if (intervalMs === sampling.intervalMs && reason === sampling.reason) return;
+    sampling.intervalMs = intervalMs;
+    sampling.reason = reason;
+    const description = `${intervalMs ? `Sampling every ${intervalMs / 1000} s` : 'Sampling paused'} (${reason})`;
+    console.log('EyeGuard:', description);
+    const samplingEl = document.getElementById('sampling');
+    if (samplingEl) samplingEl.textContent = description;
+    chrome.runtime.sendMessage({
+        type: 'eyeguard.sampling.status',
+        status: { intervalMs, reason, timestamp: Date.now() }
+    }, () => {
+        if (chrome.runtime.lastError) {
+            console.warn('EyeGuard: Failed to send sampling status:', chrome.runtime.lastError);
+        }
+    });
+}
+
+// The background relays chrome.idle, which offscreen documents cannot use themselves
+function setIdleState(idleState) {
+    if (idleState === sampling.idleState) return;
+    sampling.idleState = idleState;
+    if (!initialized) return;
+    if (idleState === 'active') {
+        // Back at the desk: look straight away; the sample reopens the camera (acquireCamera)
+        scheduleSample(0);
+    } else {
+        // Nobody to watch: stop sampling and switch the camera off, privacy mode or not
+        clearTimeout(sampling.timer);
+        sampling.timer = null;
+        releaseCamera();
+        setSamplingRate(0, idleState);
+        resetProximityAlert();
+        resetSoftEnforcement();
+    }
+}
+
+async function queryIdleState() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'eyeguard.idle.query' });
+        return response?.idleState || 'active';
+    } catch (error) {
+        console.warn('EyeGuard: Failed to query idle state:', error);
+        return 'active';
+    }
+}
+
+// Proximity detection based on eye distance measured from landmarks.
+// Resolves to what the sample saw, { failed: true } when the camera gave no usable frame,
+// or null when it was skipped because another sample or blink burst was running.
+async function performSample(settings) {
+    if (!initialized || isProcessing) return null;
     
-    lastSampleTime = now;
     isProcessing = true;
     
     try {
         updateStatus('Sampling...');
+        await acquireCamera(settings);
         
         // Check if video is ready
         if (video.readyState < 2) {
             console.log('EyeGuard: Video not ready, readyState:', video.readyState);
             updateStatus('Video not ready');
-            return;
+            return { failed: true };
         }
         
         // Check if video has dimensions
         if (video.videoWidth === 0 || video.videoHeight === 0) {
             console.log('EyeGuard: Video has no dimensions');
             updateStatus('Video has no dimensions');
-            return;
+            return { failed: true };
         }
         
         // Ensure canvas has correct dimensions
@@ -144,200 +343,374 @@ async function performSample() {
         // Draw current video frame to canvas
         ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
         
-        // Get image data for analysis
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        // Locate the face and measure it from landmark geometry
+        const landmarks = await faceDetector.detect(canvas);
+        const ipdPx = landmarks ? measureInterpupillaryDistance(landmarks, canvas.width, canvas.height) : 0;
         
-        // Debug: Check if we actually got image data
-        const samplePixel = imageData.data.slice(0, 4);
-        console.log('EyeGuard: Sample pixel from canvas:', samplePixel);
-        
-        // Simple face detection based on skin tone detection
-        const faceSize = estimateFaceSize(imageData);
-        
-        if (faceSize > 0) {
-            updateStatus(`Face detected - Size: ${faceSize.toFixed(3)}`);
+        if (ipdPx > 0) {
+            updateStatus(`Face detected - Eye distance: ${ipdPx.toFixed(1)}px`);
             
-            // Check if we need calibration
-            if (!calibrationData) {
-                performCalibration(faceSize);
-            } else {
+            if (settings.postureEnabled) {
+                checkPosture(landmarks, settings);
+            }
+            
+            // Sampling may run for posture alone with proximity switched off
+            if (settings.proximityEnabled && !calibrationData) {
+                // No wizard baseline: hold off distance warnings until the user calibrates
+                requestCalibration();
+                return { face: true, uncalibrated: true };
+            } else if (settings.proximityEnabled) {
                 // Check proximity
-                const isTooClose = await checkProximity(faceSize);
-                if (isTooClose) {
-                    sendProximityWarning();
-                }
+                const reading = checkProximity(ipdPx, settings);
+                updateStatus(`Distance: ${reading.distanceCm} cm`);
+                sendProximityReading(reading);
+                updateProximityAlert(reading, settings);
+                updateSoftEnforcement(reading, settings);
+                return { face: true, reading };
             }
-        } else {
-            updateStatus('No face detected');
+            return { face: true };
         }
         
+        badPostureSamples = 0;
+        resetProximityAlert();
+        resetSoftEnforcement();
+        updateStatus('No face detected');
+        return { face: false };
+        
     } catch (error) {
         console.error('EyeGuard: Sample failed:', error);
         updateStatus('Sample error');
+        return { failed: true };
     } finally {
+        if (settings.cameraPrivacyMode) releaseCamera();
         isProcessing = false;
     }
 }
 
-// Simple face size estimation based on skin tone detection
-function estimateFaceSize(imageData) {
-    const data = imageData.data;
-    const width = imageData.width;
-    const height = imageData.height;
+// Distances need a baseline from the options page wizard; ask for one once per document
+function requestCalibration() {
+    updateStatus('Not calibrated - run the wizard');
+    if (calibrationRequested) return;
+    calibrationRequested = true;
+    chrome.runtime.sendMessage({ type: 'eyeguard.calibration.needed', cameraKey }, () => {
+        if (chrome.runtime.lastError) {
+            console.warn('EyeGuard: Failed to ask for calibration:', chrome.runtime.lastError);
+        }
+    });
+}
+
+// Check if user is too close to screen
+function checkProximity(ipdPx, settings) {
+    if (!calibrationData) return null;
     
-    let skinPixels = 0;
-    let totalPixels = 0;
+    const distanceCm = estimateDistanceCm(calibrationData, ipdPx, canvas.width);
+    const minDistanceCm = settings.minDistanceCm;
+    const isTooClose = distanceCm < minDistanceCm;
     
-    // Sample every 4th pixel for performance
-    for (let i = 0; i < data.length; i += 16) {
-        const r = data[i];
-        const g = data[i + 1];
-        const b = data[i + 2];
-        
-        // Much more lenient skin tone detection
-        if (r > 60 && g > 20 && b > 10 && 
-            r > g && r > b && 
-            Math.abs(r - g) > 5) {
-            skinPixels++;
-        }
-        totalPixels++;
-    }
+    console.log('EyeGuard: Proximity - eye distance:', ipdPx.toFixed(1), 'px, distance:',
+        distanceCm.toFixed(1), 'cm, minimum:', minDistanceCm, 'cm, too close:', isTooClose);
     
-    // Return face size as ratio of skin pixels
-    return skinPixels / totalPixels;
+    return {
+        distanceCm: Math.round(distanceCm),
+        minDistanceCm,
+        isTooClose,
+        timestamp: Date.now()
+    };
 }
 
-// Perform calibration to establish baseline
-function performCalibration(faceSize) {
-    if (!window.calibrationSamples) {
-        window.calibrationSamples = [];
-    }
+// Alert policy: warn after proximitySamples close samples in a row, at most once per cooldown,
+// escalating while the user stays close. The alert only clears past the exit threshold
+// (minimum distance plus a margin), so hovering around the minimum does not flap.
+function updateProximityAlert(reading, settings) {
+    const alertActive = proximityAlert.level >= 0;
     
-    window.calibrationSamples.push(faceSize);
-    
-    if (window.calibrationSamples.length < CALIBRATION_SAMPLES) {
-        updateStatus(`Calibrating... ${window.calibrationSamples.length}/${CALIBRATION_SAMPLES}`);
+    if (alertActive && reading.distanceCm >= reading.minDistanceCm + settings.proximityExitMarginCm) {
+        proximityAlert = { ...proximityAlert, closeSamples: 0, level: -1 };
+        sendProximityCleared(reading);
+        return;
+    }
+    if (!reading.isTooClose) {
+        // Between the two thresholds an active alert stays up; otherwise the run of close samples is broken
+        if (!alertActive) proximityAlert.closeSamples = 0;
         return;
     }
     
-    // Calculate average face size for calibration
-    const avgFaceSize = window.calibrationSamples.reduce((a, b) => a + b, 0) / window.calibrationSamples.length;
-    
-    calibrationData = {
-        baselineFaceSize: avgFaceSize,
-        timestamp: Date.now()
-    };
+    proximityAlert.closeSamples++;
+    if (proximityAlert.closeSamples < settings.proximitySamples) return;
+    if (reading.timestamp - proximityAlert.lastAlertAt < settings.proximityCooldownSeconds * 1000) return;
     
-    // Save calibration data via message passing
-    saveCalibrationData(calibrationData);
+    proximityAlert.level = Math.min(proximityAlert.level + 1, PROXIMITY_ALERT_LEVELS.length - 1);
+    proximityAlert.lastAlertAt = reading.timestamp;
+    sendProximityWarning(reading, PROXIMITY_ALERT_LEVELS[proximityAlert.level]);
+}
+
+// Nothing is being measured (no face in view, or sampling paused while away): take an alert
+// down rather than leave it on the page until a face is seen again
+function resetProximityAlert() {
+    const alertActive = proximityAlert.level >= 0;
+    proximityAlert = { ...proximityAlert, closeSamples: 0, level: -1 };
+    if (alertActive) sendProximityCleared(null);
+}
+
+// Soft enforcement follows every sample with no hysteresis: the page effect grows the closer
+// the user leans in, and lifts with the first sample at a safe distance
+function updateSoftEnforcement(reading, settings) {
+    if (settings.softEnforcement === 'off' || !reading.isTooClose) {
+        if (softEnforcementActive) {
+            softEnforcementActive = false;
+            sendSoftEnforcementMessage({ type: 'eyeguard.proximity.safe', distanceCm: reading.distanceCm });
+        }
+        return;
+    }
     
-    updateStatus('Calibrated - Ready');
-    console.log('EyeGuard: Calibration complete - baseline:', avgFaceSize);
+    const depth = (reading.minDistanceCm - reading.distanceCm) / (reading.minDistanceCm * SOFT_ENFORCEMENT_FULL_RATIO);
+    softEnforcementActive = true;
+    sendSoftEnforcementMessage({
+        type: 'eyeguard.proximity.too-close',
+        distanceCm: reading.distanceCm,
+        minDistanceCm: reading.minDistanceCm,
+        effect: settings.softEnforcement,
+        strength: Math.round(Math.min(Math.max(depth, SOFT_ENFORCEMENT_MIN_STRENGTH), 1) * 100) / 100
+    });
 }
 
-// Check if user is too close to screen
-async function checkProximity(faceSize) {
-    if (!calibrationData) return false;
+// Same as resetProximityAlert for the page effect: with no reading it would never lift
+function resetSoftEnforcement() {
+    if (!softEnforcementActive) return;
+    softEnforcementActive = false;
+    sendSoftEnforcementMessage({ type: 'eyeguard.proximity.safe' });
+}
+
+function sendSoftEnforcementMessage(message) {
+    chrome.runtime.sendMessage(message, () => {
+        if (chrome.runtime.lastError) {
+            console.warn('EyeGuard: Failed to send', message.type, chrome.runtime.lastError);
+        }
+    });
+}
+
+// Check head pose and face position; warn when bad posture persists across samples
+function checkPosture(landmarks, settings) {
+    const pose = estimateHeadPose(landmarks, canvas.width, canvas.height);
+    const position = estimateFacePosition(landmarks);
+    const issues = [];
     
-    // Get current sensitivity setting
-    const sensitivity = await getSensitivity();
+    if (Math.abs(pose.roll) > settings.postureMaxAngle) issues.push('tilted');
+    if (Math.abs(pose.yaw) > settings.postureMaxAngle) issues.push('turned');
+    if (pose.pitch > settings.postureMaxAngle) issues.push('looking-down');
+    if (pose.pitch < -settings.postureMaxAngle) issues.push('looking-up');
+    if (Math.hypot(position.x - 0.5, position.y - 0.5) > POSTURE_MAX_OFF_CENTER) issues.push('off-center');
     
-    // Calculate proximity ratio (larger face = closer to screen)
-    const proximityRatio = faceSize / calibrationData.baselineFaceSize;
+    console.log('EyeGuard: Posture - yaw:', pose.yaw.toFixed(1), 'pitch:', pose.pitch.toFixed(1),
+        'roll:', pose.roll.toFixed(1), 'centre:', position.x.toFixed(2), position.y.toFixed(2), 'issues:', issues);
     
-    // Apply sensitivity adjustment
-    const threshold = PROXIMITY_THRESHOLD * sensitivity;
+    if (issues.length === 0) {
+        badPostureSamples = 0;
+        return;
+    }
     
-    const isTooClose = proximityRatio > threshold;
-
-    // DETAILED LOGGING FOR DEBUGGING
-    console.log('=== PROXIMITY DEBUG ===');
-    console.log('Current face size:', faceSize.toFixed(4));
-    console.log('Baseline face size:', calibrationData.baselineFaceSize.toFixed(4));
-    console.log('Proximity ratio (current/baseline):', proximityRatio.toFixed(4));
-    console.log('Sensitivity setting:', sensitivity);
-    console.log('PROXIMITY_THRESHOLD constant:', PROXIMITY_THRESHOLD);
-    console.log('Calculated threshold (PROXIMITY_THRESHOLD * sensitivity):', threshold.toFixed(4));
-    console.log('Is too close? (ratio > threshold):', isTooClose);
-    console.log('=== END DEBUG ===');
+    badPostureSamples++;
+    const now = Date.now();
+    if (badPostureSamples >= settings.postureSamples && now - lastPostureWarningTime >= POSTURE_WARNING_COOLDOWN_MS) {
+        badPostureSamples = 0;
+        lastPostureWarningTime = now;
+        sendPostureWarning(issues, pose);
+    }
+}
 
-    return isTooClose;
+// Send posture warning to background script
+function sendPostureWarning(issues, pose) {
+    console.log('EyeGuard: Sending posture warning:', issues);
+    chrome.runtime.sendMessage({
+        type: 'eyeguard.posture.warning',
+        issues,
+        yaw: Math.round(pose.yaw),
+        pitch: Math.round(pose.pitch),
+        roll: Math.round(pose.roll)
+    }, () => {
+        if (chrome.runtime.lastError) {
+            console.error('EyeGuard: Failed to send posture warning:', chrome.runtime.lastError);
+        }
+    });
+    updateStatus('POSTURE!');
 }
 
-// Get sensitivity setting via message passing
-async function getSensitivity() {
+// Get settings via message passing
+async function getSettings() {
     return new Promise((resolve) => {
         // Set a timeout to avoid hanging
         const timeout = setTimeout(() => {
-            console.warn('EyeGuard: Sensitivity request timed out, using default');
-            resolve(1.5);
+            console.warn('EyeGuard: Settings request timed out, using defaults');
+            resolve(DEFAULT_SETTINGS);
         }, 1000);
         
         chrome.runtime.sendMessage({ type: 'eyeguard.storage.get.settings' }, (response) => {
             clearTimeout(timeout);
-            if (response && response.settings && response.settings.sensitivity) {
-                console.log('EyeGuard: Got sensitivity setting:', response.settings.sensitivity);
-                resolve(response.settings.sensitivity);
+            if (response && response.settings) {
+                resolve({ ...DEFAULT_SETTINGS, ...response.settings });
             } else {
-                console.warn('EyeGuard: Failed to get sensitivity setting, using default');
-                resolve(1.5);
+                console.warn('EyeGuard: Failed to get settings, using defaults');
+                resolve(DEFAULT_SETTINGS);
             }
         });
     });
 }
 
+// Report the latest distance reading to the background script
+function sendProximityReading(reading) {
+    chrome.runtime.sendMessage({ type: 'eyeguard.proximity.reading', reading }, () => {
+        if (chrome.runtime.lastError) {
+            console.warn('EyeGuard: Failed to send proximity reading:', chrome.runtime.lastError);
+        }
+    });
+}
+
 // Send proximity warning to background script
-function sendProximityWarning() {
-    console.log('🚨 EyeGuard: SENDING PROXIMITY WARNING!');
-    chrome.runtime.sendMessage({ type: 'eyeguard.proximity.warning' }, (response) => {
+function sendProximityWarning(reading, level) {
+    console.log('🚨 EyeGuard: SENDING PROXIMITY WARNING!', level);
+    chrome.runtime.sendMessage({
+        type: 'eyeguard.proximity.warning',
+        distanceCm: reading.distanceCm,
+        minDistanceCm: reading.minDistanceCm,
+        level
+    }, (response) => {
         if (chrome.runtime.lastError) {
             console.error('❌ EyeGuard: Failed to send proximity warning:', chrome.runtime.lastError);
         } else {
             console.log('✅ EyeGuard: Proximity warning sent successfully:', response);
         }
     });
-    updateStatus('TOO CLOSE!');
+    updateStatus(`TOO CLOSE! ${reading.distanceCm} cm`);
 }
 
-// Load calibration data via message passing
-async function loadCalibrationData() {
-    return new Promise((resolve) => {
-        chrome.runtime.sendMessage({ type: 'eyeguard.storage.get.calibration' }, (response) => {
-            try {
-                if (response && response.calibrationData && response.calibrationData.timestamp) {
-                    // Check if calibration is still valid (24 hours)
-                    const age = Date.now() - response.calibrationData.timestamp;
-                    if (age < 24 * 60 * 60 * 1000) {
-                        calibrationData = response.calibrationData;
-                        console.log('EyeGuard: Loaded existing calibration');
-                    } else {
-                        console.log('EyeGuard: Calibration expired, will recalibrate');
-                    }
-                } else {
-                    console.log('EyeGuard: No calibration data found, will calibrate');
+// Tell the background the user moved back, so tabs can take the alert down
+// reading is null when the alert ends because nothing is measured any more
+function sendProximityCleared(reading) {
+    console.log('EyeGuard: Proximity alert cleared:', reading ? `${reading.distanceCm} cm` : 'no reading');
+    chrome.runtime.sendMessage({ type: 'eyeguard.proximity.cleared', distanceCm: reading?.distanceCm }, () => {
+        if (chrome.runtime.lastError) {
+            console.warn('EyeGuard: Failed to send proximity cleared:', chrome.runtime.lastError);
+        }
+    });
+}
+
+// Count blinks over a short burst of frames
+async function performBlinkBurst() {
+    // Nobody to watch while idle or locked
+    if (!initialized || isProcessing || sampling.idleState !== 'active') return;
+    
+    isProcessing = true;
+    let settings = DEFAULT_SETTINGS;
+    
+    try {
+        settings = await getSettings();
+        await acquireCamera(settings);
+        
+        if (video.readyState < 2 || video.videoWidth === 0) {
+            console.log('EyeGuard: Video not ready for blink burst');
+            return;
+        }
+        
+        updateStatus('Counting blinks...');
+        
+        const start = Date.now();
+        let blinks = 0;
+        let observedMs = 0;
+        let eyesClosed = false;
+        let lastFrameTime = start;
+        
+        while (Date.now() - start < BLINK_BURST_MS) {
+            const frameStart = Date.now();
+            const landmarks = await faceDetector.detect(video);
+            
+            if (landmarks) {
+                observedMs += frameStart - lastFrameTime;
+                const ear = averageEyeAspectRatio(landmarks, video.videoWidth, video.videoHeight);
+                
+                // A blink is a closed phase followed by the eyes opening again
+                if (ear < BLINK_EAR_THRESHOLD) {
+                    eyesClosed = true;
+                } else if (eyesClosed) {
+                    eyesClosed = false;
+                    blinks++;
                 }
-            } catch (error) {
-                console.warn('EyeGuard: Failed to process calibration data:', error);
+            } else {
+                eyesClosed = false;
             }
-            resolve();
-        });
-    });
+            
+            lastFrameTime = frameStart;
+            const elapsed = Date.now() - frameStart;
+            await new Promise(resolve => setTimeout(resolve, Math.max(BLINK_FRAME_INTERVAL - elapsed, 0)));
+        }
+        
+        recordBlinkBurst(blinks, observedMs);
+        
+    } catch (error) {
+        console.error('EyeGuard: Blink burst failed:', error);
+        updateStatus('Blink error');
+    } finally {
+        if (settings.cameraPrivacyMode) releaseCamera();
+        isProcessing = false;
+    }
 }
 
-// Save calibration data via message passing
-async function saveCalibrationData(data) {
-    chrome.runtime.sendMessage({ 
-        type: 'eyeguard.storage.set.calibration', 
-        calibrationData: data 
-    }, (response) => {
-        if (response && response.success) {
-            console.log('EyeGuard: Calibration data saved');
-        } else {
-            console.warn('EyeGuard: Failed to save calibration data');
+// Add a burst to the rolling window and remind the user if the rate stays low
+async function recordBlinkBurst(blinks, observedMs) {
+    const now = Date.now();
+    blinkBursts.push({ timestamp: now, blinks, observedMs });
+    blinkBursts = blinkBursts.filter(burst => now - burst.timestamp < BLINK_WINDOW_MS);
+    
+    const totalBlinks = blinkBursts.reduce((sum, burst) => sum + burst.blinks, 0);
+    const totalObservedMs = blinkBursts.reduce((sum, burst) => sum + burst.observedMs, 0);
+    
+    if (totalObservedMs < BLINK_MIN_OBSERVED_MS) {
+        updateStatus(`Blinks: ${blinks} (not enough face time yet)`);
+        return;
+    }
+    
+    const blinksPerMinute = totalBlinks / (totalObservedMs / 60000);
+    updateStatus(`Blink rate: ${blinksPerMinute.toFixed(1)}/min`);
+    console.log('EyeGuard: Blink rate', blinksPerMinute.toFixed(1), 'per minute over', Math.round(totalObservedMs / 1000), 's');
+    
+    const settings = await getSettings();
+    const cooldownMs = settings.blinkReminderMinutes * 60 * 1000;
+    if (blinksPerMinute < settings.blinkRateThreshold && now - lastBlinkReminderTime >= cooldownMs) {
+        lastBlinkReminderTime = now;
+        sendBlinkReminder(Math.round(blinksPerMinute));
+    }
+}
+
+// Send low-blink reminder to background script
+function sendBlinkReminder(blinksPerMinute) {
+    console.log('EyeGuard: Sending blink reminder, rate:', blinksPerMinute);
+    chrome.runtime.sendMessage({ type: 'eyeguard.blink.reminder', blinksPerMinute }, () => {
+        if (chrome.runtime.lastError) {
+            console.error('EyeGuard: Failed to send blink reminder:', chrome.runtime.lastError);
         }
     });
 }
 
+// Load the wizard baseline of this document's camera via message passing
+async function loadCalibrationData() {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: 'eyeguard.storage.get.calibration', cameraKey }, (response) => {
+            const data = response?.calibrationData;
+            if (!data) {
+                console.log('EyeGuard: No calibration found for', cameraKey, '- distance warnings wait for the wizard');
+            } else if (data.method !== CALIBRATION_METHOD) {
+                console.log('EyeGuard: Calibration uses an old measurement, the wizard needs to run again');
+            } else if (data.source !== 'wizard') {
+                // Baselines taken silently from a few frames are not trusted any more
+                console.log('EyeGuard: Ignoring automatic calibration, the wizard needs to run');
+            } else {
+                calibrationData = data;
+                console.log('EyeGuard: Loaded existing calibration');
+            }
+            resolve();
+        });
+    });
+}
+
 // Update status display
 function updateStatus(message) {
     const statusEl = document.getElementById('status');
@@ -350,14 +723,32 @@ function updateStatus(message) {
 chrome.runtime.onMessage.addListener((message) => {
     switch (message?.type) {
         case 'eyeguard.proximity.sample':
-            performSample();
+            // Background watchdog: restart the loop if it has stalled, unless paused for idle
+            if (initialized && !sampling.timer && !isProcessing && sampling.idleState === 'active') {
+                scheduleSample(0);
+            }
+            break;
+        case 'eyeguard.sampling.idle':
+            setIdleState(message.idleState);
+            break;
+        case 'eyeguard.blink.sample':
+            performBlinkBurst();
+            break;
+        case 'eyeguard.storage.set.calibration':
+            // Calibration saved by the options page wizard replaces the current baseline,
+            // as long as it was taken with this document's camera
+            if (message.calibrationData && message.cameraKey === cameraKey) {
+                calibrationData = message.calibrationData;
+                updateStatus('Calibrated - Ready');
+                console.log('EyeGuard: Adopted calibration from wizard');
+            }
             break;
         case 'eyeguard.proximity.reset':
-            // Reset calibration
+            // Reset calibration, unless another camera is being recalibrated
+            if (message.cameraKey !== cameraKey) break;
             calibrationData = null;
-            window.calibrationSamples = [];
             // Send reset message to background
-            chrome.runtime.sendMessage({ type: 'eyeguard.storage.remove.calibration' });
+            chrome.runtime.sendMessage({ type: 'eyeguard.storage.remove.calibration', cameraKey });
             updateStatus('Calibration reset');
             break;
     }
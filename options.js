@@ -1,23 +1,24 @@
-const DEFAULTS = {
-	enabled: true,
-	autoStart: true,
-	theme: "system",
-	proximityEnabled: true,
-	sensitivity: 1.5,
-	proximityPeriodSeconds: 30,
-	breaksEnabled: true,
-	breakIntervalMinutes: 20,
-	breakDurationSeconds: 20,
-	snoozeMinutes: 5
-};
-
 // Validation rules
 const VALIDATION_RULES = {
-	sensitivity: { min: 1.1, max: 2.0 },
+	minDistanceCm: { min: 25, max: 100 },
+	calibrationDistanceCm: { min: 30, max: 120 },
 	proximityPeriodSeconds: { min: 10, max: 300 },
+	proximitySamples: { min: 1, max: 10 },
+	proximityExitMarginCm: { min: 0, max: 20 },
+	proximityCooldownSeconds: { min: 10, max: 600 },
+	postureMaxAngle: { min: 10, max: 45 },
+	postureSamples: { min: 2, max: 10 },
+	blinkRateThreshold: { min: 5, max: 20 },
+	blinkReminderMinutes: { min: 2, max: 60 },
 	breakIntervalMinutes: { min: 5, max: 120 },
 	breakDurationSeconds: { min: 10, max: 300 },
-	snoozeMinutes: { min: 1, max: 60 }
+	longBreakIntervalMinutes: { min: 30, max: 240 },
+	longBreakDurationMinutes: { min: 1, max: 30 },
+	longBreakMessage: { maxLength: 200 },
+	snoozeMinutes: { min: 1, max: 60 },
+	maxDeferMinutes: { min: 5, max: 120 },
+	dailySkipBudget: { min: 0, max: 20 },
+	skipDelaySeconds: { min: 0, max: 120 }
 };
 
 // Notification system
@@ -64,36 +65,139 @@ function showNotification(message, type = 'success') {
 function validateSettings(settings) {
 	const errors = [];
 	
-	// Validate sensitivity
-	if (settings.sensitivity < VALIDATION_RULES.sensitivity.min || 
-		settings.sensitivity > VALIDATION_RULES.sensitivity.max) {
-		errors.push(`Sensitivity must be between ${VALIDATION_RULES.sensitivity.min} and ${VALIDATION_RULES.sensitivity.max}`);
+	// Validate minimum safe distance
+	if (settings.minDistanceCm < VALIDATION_RULES.minDistanceCm.min || 
+		settings.minDistanceCm > VALIDATION_RULES.minDistanceCm.max) {
+		errors.push(i18n('errorMinDistanceRange', VALIDATION_RULES.minDistanceCm.min, VALIDATION_RULES.minDistanceCm.max));
+	}
+	
+	// Validate calibration distance
+	if (settings.calibrationDistanceCm < VALIDATION_RULES.calibrationDistanceCm.min || 
+		settings.calibrationDistanceCm > VALIDATION_RULES.calibrationDistanceCm.max) {
+		errors.push(i18n('errorCalibrationDistanceRange', VALIDATION_RULES.calibrationDistanceCm.min, VALIDATION_RULES.calibrationDistanceCm.max));
 	}
 	
 	// Validate proximity period
 	if (settings.proximityPeriodSeconds < VALIDATION_RULES.proximityPeriodSeconds.min || 
 		settings.proximityPeriodSeconds > VALIDATION_RULES.proximityPeriodSeconds.max) {
-		errors.push(`Proximity sampling must be between ${VALIDATION_RULES.proximityPeriodSeconds.min} and ${VALIDATION_RULES.proximityPeriodSeconds.max} seconds`);
+		errors.push(i18n('errorProximityPeriodRange', VALIDATION_RULES.proximityPeriodSeconds.min, VALIDATION_RULES.proximityPeriodSeconds.max));
+	}
+	
+	// Validate proximity alert policy
+	if (settings.proximitySamples < VALIDATION_RULES.proximitySamples.min || 
+		settings.proximitySamples > VALIDATION_RULES.proximitySamples.max) {
+		errors.push(i18n('errorProximitySamplesRange', VALIDATION_RULES.proximitySamples.min, VALIDATION_RULES.proximitySamples.max));
+	}
+	if (settings.proximityExitMarginCm < VALIDATION_RULES.proximityExitMarginCm.min || 
+		settings.proximityExitMarginCm > VALIDATION_RULES.proximityExitMarginCm.max) {
+		errors.push(i18n('errorProximityExitMarginRange', VALIDATION_RULES.proximityExitMarginCm.min, VALIDATION_RULES.proximityExitMarginCm.max));
+	}
+	if (settings.proximityCooldownSeconds < VALIDATION_RULES.proximityCooldownSeconds.min || 
+		settings.proximityCooldownSeconds > VALIDATION_RULES.proximityCooldownSeconds.max) {
+		errors.push(i18n('errorProximityCooldownRange', VALIDATION_RULES.proximityCooldownSeconds.min, VALIDATION_RULES.proximityCooldownSeconds.max));
+	}
+	if (!['off', 'dim', 'blur'].includes(settings.softEnforcement)) {
+		errors.push(i18n('errorSoftEnforcement'));
+	}
+	
+	// Validate posture angle
+	if (settings.postureMaxAngle < VALIDATION_RULES.postureMaxAngle.min || 
+		settings.postureMaxAngle > VALIDATION_RULES.postureMaxAngle.max) {
+		errors.push(i18n('errorPostureAngleRange', VALIDATION_RULES.postureMaxAngle.min, VALIDATION_RULES.postureMaxAngle.max));
+	}
+	
+	// Validate posture sample count
+	if (settings.postureSamples < VALIDATION_RULES.postureSamples.min || 
+		settings.postureSamples > VALIDATION_RULES.postureSamples.max) {
+		errors.push(i18n('errorPostureSamplesRange', VALIDATION_RULES.postureSamples.min, VALIDATION_RULES.postureSamples.max));
+	}
+	
+	// Validate blink rate threshold
+	if (settings.blinkRateThreshold < VALIDATION_RULES.blinkRateThreshold.min || 
+		settings.blinkRateThreshold > VALIDATION_RULES.blinkRateThreshold.max) {
+		errors.push(i18n('errorBlinkRateRange', VALIDATION_RULES.blinkRateThreshold.min, VALIDATION_RULES.blinkRateThreshold.max));
+	}
+	
+	// Validate blink reminder interval
+	if (settings.blinkReminderMinutes < VALIDATION_RULES.blinkReminderMinutes.min || 
+		settings.blinkReminderMinutes > VALIDATION_RULES.blinkReminderMinutes.max) {
+		errors.push(i18n('errorBlinkReminderRange', VALIDATION_RULES.blinkReminderMinutes.min, VALIDATION_RULES.blinkReminderMinutes.max));
 	}
 	
 	// Validate break interval
 	if (settings.breakIntervalMinutes < VALIDATION_RULES.breakIntervalMinutes.min || 
 		settings.breakIntervalMinutes > VALIDATION_RULES.breakIntervalMinutes.max) {
-		errors.push(`Break interval must be between ${VALIDATION_RULES.breakIntervalMinutes.min} and ${VALIDATION_RULES.breakIntervalMinutes.max} minutes`);
+		errors.push(i18n('errorBreakIntervalRange', VALIDATION_RULES.breakIntervalMinutes.min, VALIDATION_RULES.breakIntervalMinutes.max));
 	}
 	
 	// Validate break duration
 	if (settings.breakDurationSeconds < VALIDATION_RULES.breakDurationSeconds.min || 
 		settings.breakDurationSeconds > VALIDATION_RULES.breakDurationSeconds.max) {
-		errors.push(`Break duration must be between ${VALIDATION_RULES.breakDurationSeconds.min} and ${VALIDATION_RULES.breakDurationSeconds.max} seconds`);
+		errors.push(i18n('errorBreakDurationRange', VALIDATION_RULES.breakDurationSeconds.min, VALIDATION_RULES.breakDurationSeconds.max));
+	}
+	
+	// Validate long break interval
+	if (settings.longBreakIntervalMinutes < VALIDATION_RULES.longBreakIntervalMinutes.min || 
+		settings.longBreakIntervalMinutes > VALIDATION_RULES.longBreakIntervalMinutes.max) {
+		errors.push(i18n('errorLongBreakIntervalRange', VALIDATION_RULES.longBreakIntervalMinutes.min, VALIDATION_RULES.longBreakIntervalMinutes.max));
+	}
+	
+	// Long breaks must come less often than micro breaks to replace them
+	if (settings.longBreaksEnabled && settings.longBreakIntervalMinutes <= settings.breakIntervalMinutes) {
+		errors.push(i18n('errorLongBreakInterval'));
+	}
+	
+	// Validate long break duration
+	if (settings.longBreakDurationMinutes < VALIDATION_RULES.longBreakDurationMinutes.min || 
+		settings.longBreakDurationMinutes > VALIDATION_RULES.longBreakDurationMinutes.max) {
+		errors.push(i18n('errorLongBreakDurationRange', VALIDATION_RULES.longBreakDurationMinutes.min, VALIDATION_RULES.longBreakDurationMinutes.max));
+	}
+	
+	// Validate long break message
+	if (settings.longBreakMessage.trim().length === 0 || 
+		settings.longBreakMessage.length > VALIDATION_RULES.longBreakMessage.maxLength) {
+		errors.push(i18n('errorLongBreakMessageLength', VALIDATION_RULES.longBreakMessage.maxLength));
 	}
 	
 	// Validate snooze time
 	if (settings.snoozeMinutes < VALIDATION_RULES.snoozeMinutes.min || 
 		settings.snoozeMinutes > VALIDATION_RULES.snoozeMinutes.max) {
-		errors.push(`Snooze time must be between ${VALIDATION_RULES.snoozeMinutes.min} and ${VALIDATION_RULES.snoozeMinutes.max} minutes`);
+		errors.push(i18n('errorSnoozeRange', VALIDATION_RULES.snoozeMinutes.min, VALIDATION_RULES.snoozeMinutes.max));
+	}
+	
+	// Validate maximum deferral
+	if (settings.maxDeferMinutes < VALIDATION_RULES.maxDeferMinutes.min || 
+		settings.maxDeferMinutes > VALIDATION_RULES.maxDeferMinutes.max) {
+		errors.push(i18n('errorMaxDeferRange', VALIDATION_RULES.maxDeferMinutes.min, VALIDATION_RULES.maxDeferMinutes.max));
+	}
+	
+	// Validate strict mode limits
+	if (!Number.isInteger(settings.dailySkipBudget) ||
+		settings.dailySkipBudget < VALIDATION_RULES.dailySkipBudget.min || 
+		settings.dailySkipBudget > VALIDATION_RULES.dailySkipBudget.max) {
+		errors.push(i18n('errorSkipBudgetRange', VALIDATION_RULES.dailySkipBudget.min, VALIDATION_RULES.dailySkipBudget.max));
+	}
+	if (settings.skipDelaySeconds < VALIDATION_RULES.skipDelaySeconds.min || 
+		settings.skipDelaySeconds > VALIDATION_RULES.skipDelaySeconds.max) {
+		errors.push(i18n('errorSkipDelayRange', VALIDATION_RULES.skipDelaySeconds.min, VALIDATION_RULES.skipDelaySeconds.max));
 	}
 	
+	// Validate working hours and days off
+	errors.push(...validateSchedule(settings.schedule));
+	if (!Array.isArray(settings.scheduleOffDays) ||
+		settings.scheduleOffDays.some(day => !/^\d{4}-\d{2}-\d{2}$/.test(day))) {
+		errors.push(i18n('errorOffDaysFormat'));
+	}
+	
+	// Validate site rules
+	errors.push(...validateSiteRules(settings.siteRules));
+	
+	// Validate break activities
+	errors.push(...validateActivities(settings));
+	
+	// Validate camera choice
+	errors.push(...validateCameraSettings(settings));
+	
 	return errors;
 }
 
@@ -118,7 +222,7 @@ function setupFormValidation() {
 					input.style.borderColor = '#ef4444';
 					const error = document.createElement('div');
 					error.className = 'error-message';
-					error.textContent = `Must be between ${rule.min} and ${rule.max}`;
+					error.textContent = i18n('errorRange', rule.min, rule.max);
 					error.style.cssText = 'color: #ef4444; font-size: 12px; margin-top: 4px;';
 					input.parentNode.appendChild(error);
 				}
@@ -130,25 +234,248 @@ function setupFormValidation() {
 async function loadSettings() {
 	try {
 		const { settings } = await chrome.storage.local.get("settings");
-		return settings || DEFAULTS;
+		return { ...DEFAULT_SETTINGS, ...settings };
 	} catch (error) {
 		console.error('Failed to load settings:', error);
-		showNotification('Failed to load settings. Using defaults.', 'error');
-		return DEFAULTS;
+		showNotification(i18n('noticeLoadFailed'), 'error');
+		return DEFAULT_SETTINGS;
+	}
+}
+
+// The schedule editor works on copies that readForm() picks up on save
+let scheduleDraft = DEFAULT_SCHEDULE;
+let offDaysDraft = [];
+
+function createTimeInput(value, onChange) {
+	const input = document.createElement('input');
+	input.type = 'time';
+	input.className = 'input';
+	input.value = value;
+	input.addEventListener('change', () => onChange(input.value));
+	return input;
+}
+
+function renderSchedule() {
+	const container = document.getElementById('scheduleDays');
+	container.replaceChildren();
+	
+	// Week starts on Monday in the editor
+	for (const day of [...SCHEDULE_DAYS.slice(1), SCHEDULE_DAYS[0]]) {
+		const row = document.createElement('div');
+		row.className = 'schedule-day';
+		const name = document.createElement('div');
+		name.className = 'schedule-day-name';
+		name.textContent = i18n(`dayShort_${day}`);
+		const ranges = document.createElement('div');
+		ranges.className = 'schedule-ranges';
+		
+		scheduleDraft[day].forEach((range, index) => {
+			const rangeRow = document.createElement('div');
+			rangeRow.className = 'schedule-range';
+			const remove = document.createElement('button');
+			remove.className = 'button secondary';
+			remove.textContent = i18n('buttonRemove');
+			remove.addEventListener('click', () => {
+				scheduleDraft[day].splice(index, 1);
+				renderSchedule();
+			});
+			rangeRow.append(
+				createTimeInput(range.start, value => { range.start = value; }),
+				i18n('scheduleRangeTo'),
+				createTimeInput(range.end, value => { range.end = value; }),
+				remove
+			);
+			ranges.appendChild(rangeRow);
+		});
+		if (scheduleDraft[day].length === 0) {
+			const off = document.createElement('div');
+			off.className = 'help-text';
+			off.textContent = i18n('scheduleNotWorking');
+			ranges.appendChild(off);
+		}
+		
+		const add = document.createElement('button');
+		add.className = 'button secondary';
+		add.textContent = i18n('buttonAddHours');
+		add.addEventListener('click', () => {
+			scheduleDraft[day].push({ start: '09:00', end: '17:00' });
+			renderSchedule();
+		});
+		
+		row.append(name, ranges, add);
+		container.appendChild(row);
+	}
+}
+
+function renderOffDays() {
+	const container = document.getElementById('offDaysList');
+	container.replaceChildren();
+	for (const day of offDaysDraft) {
+		const chip = document.createElement('button');
+		chip.className = 'button secondary';
+		chip.textContent = `${day} ✕`;
+		chip.title = i18n('offDayRemoveTitle');
+		chip.addEventListener('click', () => {
+			offDaysDraft = offDaysDraft.filter(d => d !== day);
+			renderOffDays();
+		});
+		container.appendChild(chip);
 	}
 }
 
+function addOffDay(day) {
+	if (!day || offDaysDraft.includes(day)) return;
+	offDaysDraft = [...offDaysDraft, day].sort();
+	renderOffDays();
+}
+
+let siteRulesDraft = [];
+
+const SITE_RULE_LABELS = {
+	[SITE_RULE_MODES.OVERLAY]: i18n("siteRuleModeOverlay"),
+	[SITE_RULE_MODES.BANNER]: i18n("siteRuleModeBanner"),
+	[SITE_RULE_MODES.DEFER]: i18n("siteRuleModeDefer")
+};
+
+function renderSiteRules() {
+	const container = document.getElementById('siteRulesList');
+	container.replaceChildren();
+	
+	siteRulesDraft.forEach((rule, index) => {
+		const row = document.createElement('div');
+		row.className = 'schedule-range';
+		
+		const pattern = document.createElement('input');
+		pattern.type = 'text';
+		pattern.className = 'input';
+		pattern.style.flex = '1';
+		pattern.placeholder = 'meet.google.com/*';
+		pattern.maxLength = SITE_RULE_PATTERN_MAX_LENGTH;
+		pattern.value = rule.pattern;
+		pattern.addEventListener('change', () => { rule.pattern = pattern.value.trim(); });
+		
+		const mode = document.createElement('select');
+		mode.className = 'input';
+		for (const [value, label] of Object.entries(SITE_RULE_LABELS)) {
+			mode.add(new Option(label, value, false, value === rule.mode));
+		}
+		mode.addEventListener('change', () => { rule.mode = mode.value; });
+		
+		const remove = document.createElement('button');
+		remove.className = 'button secondary';
+		remove.textContent = i18n('buttonRemove');
+		remove.addEventListener('click', () => {
+			siteRulesDraft.splice(index, 1);
+			renderSiteRules();
+		});
+		
+		row.append(pattern, mode, remove);
+		container.appendChild(row);
+	});
+	if (siteRulesDraft.length === 0) {
+		const empty = document.createElement('div');
+		empty.className = 'help-text';
+		empty.textContent = i18n('siteRulesEmpty');
+		container.appendChild(empty);
+	}
+}
+
+// One checkbox per activity in the library
+function renderActivities(enabledIds) {
+	const container = document.getElementById('breakActivitiesList');
+	container.replaceChildren();
+	for (const activity of BREAK_ACTIVITIES) {
+		const label = document.createElement('label');
+		label.className = 'schedule-range';
+		const checkbox = document.createElement('input');
+		checkbox.type = 'checkbox';
+		checkbox.value = activity.id;
+		checkbox.checked = enabledIds.includes(activity.id);
+		label.append(checkbox, i18n(activity.nameKey));
+		container.appendChild(label);
+	}
+}
+
+// Video inputs from the last enumerateDevices(); labels stay empty until camera access is granted
+let cameraDevices = [];
+
+function renderCameraDevices(selectedId) {
+	const select = document.getElementById("cameraDeviceId");
+	select.replaceChildren(new Option(i18n("cameraDefault"), ""));
+	cameraDevices.forEach((device, index) => {
+		select.appendChild(new Option(device.label || i18n("cameraUnnamed", index + 1), device.deviceId));
+	});
+	// Keep a chosen camera that is unplugged right now, so saving does not forget it
+	if (selectedId && !cameraDevices.some(device => device.deviceId === selectedId)) {
+		select.appendChild(new Option(i18n("cameraUnavailable"), selectedId));
+	}
+	select.value = selectedId;
+}
+
+async function refreshCameraDevices() {
+	try {
+		const devices = await navigator.mediaDevices.enumerateDevices();
+		cameraDevices = devices.filter(device => device.kind === "videoinput" && device.deviceId);
+		renderCameraDevices(document.getElementById("cameraDeviceId").value);
+	} catch (error) {
+		console.error('Failed to list cameras:', error);
+	}
+}
+
+// Camera fields as currently chosen in the form, saved or not
+function readCameraForm() {
+	return {
+		cameraDeviceId: document.getElementById("cameraDeviceId").value,
+		cameraResolution: document.getElementById("cameraResolution").value,
+		cameraFrameRate: Number(document.getElementById("cameraFrameRate").value)
+	};
+}
+
 function populateForm(s) {
 	document.getElementById("enabled").checked = s.enabled;
 	document.getElementById("autoStart").checked = s.autoStart;
 	document.getElementById("theme").value = s.theme;
 	document.getElementById("proximityEnabled").checked = s.proximityEnabled;
-	document.getElementById("sensitivity").value = s.sensitivity;
+	document.getElementById("minDistanceCm").value = s.minDistanceCm;
+	document.getElementById("calibrationDistanceCm").value = s.calibrationDistanceCm;
 	document.getElementById("proximityPeriodSeconds").value = s.proximityPeriodSeconds;
+	document.getElementById("proximitySamples").value = s.proximitySamples;
+	document.getElementById("proximityExitMarginCm").value = s.proximityExitMarginCm;
+	document.getElementById("proximityCooldownSeconds").value = s.proximityCooldownSeconds;
+	document.getElementById("softEnforcement").value = s.softEnforcement;
+	document.getElementById("cameraPrivacyMode").checked = s.cameraPrivacyMode;
+	renderCameraDevices(s.cameraDeviceId);
+	document.getElementById("cameraResolution").value = s.cameraResolution;
+	document.getElementById("cameraFrameRate").value = s.cameraFrameRate;
+	document.getElementById("postureEnabled").checked = s.postureEnabled;
+	document.getElementById("postureMaxAngle").value = s.postureMaxAngle;
+	document.getElementById("postureSamples").value = s.postureSamples;
+	document.getElementById("blinkEnabled").checked = s.blinkEnabled;
+	document.getElementById("blinkRateThreshold").value = s.blinkRateThreshold;
+	document.getElementById("blinkReminderMinutes").value = s.blinkReminderMinutes;
 	document.getElementById("breaksEnabled").checked = s.breaksEnabled;
 	document.getElementById("breakIntervalMinutes").value = s.breakIntervalMinutes;
 	document.getElementById("breakDurationSeconds").value = s.breakDurationSeconds;
+	document.getElementById("longBreaksEnabled").checked = s.longBreaksEnabled;
+	document.getElementById("longBreakIntervalMinutes").value = s.longBreakIntervalMinutes;
+	document.getElementById("longBreakDurationMinutes").value = s.longBreakDurationMinutes;
+	document.getElementById("longBreakMessage").value = s.longBreakMessage;
 	document.getElementById("snoozeMinutes").value = s.snoozeMinutes;
+	document.getElementById("autoDeferEnabled").checked = s.autoDeferEnabled;
+	document.getElementById("maxDeferMinutes").value = s.maxDeferMinutes;
+	document.getElementById("notificationsOnly").checked = s.notificationsOnly;
+	document.getElementById("strictMode").checked = s.strictMode;
+	document.getElementById("dailySkipBudget").value = s.dailySkipBudget;
+	document.getElementById("skipDelaySeconds").value = s.skipDelaySeconds;
+	document.getElementById("activityOrder").value = s.activityOrder;
+	renderActivities(s.breakActivities);
+	document.getElementById("scheduleEnabled").checked = s.scheduleEnabled;
+	scheduleDraft = structuredClone(s.schedule);
+	offDaysDraft = [...s.scheduleOffDays];
+	renderSchedule();
+	renderOffDays();
+	siteRulesDraft = structuredClone(s.siteRules);
+	renderSiteRules();
 }
 
 function readForm() {
@@ -157,12 +484,43 @@ function readForm() {
 		autoStart: document.getElementById("autoStart").checked,
 		theme: document.getElementById("theme").value,
 		proximityEnabled: document.getElementById("proximityEnabled").checked,
-		sensitivity: Number(document.getElementById("sensitivity").value),
+		minDistanceCm: Number(document.getElementById("minDistanceCm").value),
+		calibrationDistanceCm: Number(document.getElementById("calibrationDistanceCm").value),
 		proximityPeriodSeconds: Number(document.getElementById("proximityPeriodSeconds").value),
+		proximitySamples: Number(document.getElementById("proximitySamples").value),
+		proximityExitMarginCm: Number(document.getElementById("proximityExitMarginCm").value),
+		proximityCooldownSeconds: Number(document.getElementById("proximityCooldownSeconds").value),
+		softEnforcement: document.getElementById("softEnforcement").value,
+		cameraPrivacyMode: document.getElementById("cameraPrivacyMode").checked,
+		cameraDeviceId: document.getElementById("cameraDeviceId").value,
+		cameraResolution: document.getElementById("cameraResolution").value,
+		cameraFrameRate: Number(document.getElementById("cameraFrameRate").value),
+		postureEnabled: document.getElementById("postureEnabled").checked,
+		postureMaxAngle: Number(document.getElementById("postureMaxAngle").value),
+		postureSamples: Number(document.getElementById("postureSamples").value),
+		blinkEnabled: document.getElementById("blinkEnabled").checked,
+		blinkRateThreshold: Number(document.getElementById("blinkRateThreshold").value),
+		blinkReminderMinutes: Number(document.getElementById("blinkReminderMinutes").value),
 		breaksEnabled: document.getElementById("breaksEnabled").checked,
 		breakIntervalMinutes: Number(document.getElementById("breakIntervalMinutes").value),
 		breakDurationSeconds: Number(document.getElementById("breakDurationSeconds").value),
-		snoozeMinutes: Number(document.getElementById("snoozeMinutes").value)
+		longBreaksEnabled: document.getElementById("longBreaksEnabled").checked,
+		longBreakIntervalMinutes: Number(document.getElementById("longBreakIntervalMinutes").value),
+		longBreakDurationMinutes: Number(document.getElementById("longBreakDurationMinutes").value),
+		longBreakMessage: document.getElementById("longBreakMessage").value.trim(),
+		snoozeMinutes: Number(document.getElementById("snoozeMinutes").value),
+		autoDeferEnabled: document.getElementById("autoDeferEnabled").checked,
+		maxDeferMinutes: Number(document.getElementById("maxDeferMinutes").value),
+		notificationsOnly: document.getElementById("notificationsOnly").checked,
+		strictMode: document.getElementById("strictMode").checked,
+		dailySkipBudget: Number(document.getElementById("dailySkipBudget").value),
+		skipDelaySeconds: Number(document.getElementById("skipDelaySeconds").value),
+		breakActivities: [...document.querySelectorAll('#breakActivitiesList input:checked')].map(input => input.value),
+		activityOrder: document.getElementById("activityOrder").value,
+		scheduleEnabled: document.getElementById("scheduleEnabled").checked,
+		schedule: structuredClone(scheduleDraft),
+		scheduleOffDays: [...offDaysDraft],
+		siteRules: siteRulesDraft.map(rule => ({ pattern: normalizeSitePattern(rule.pattern), mode: rule.mode }))
 	};
 }
 
@@ -173,7 +531,7 @@ async function saveSettings() {
 		// Validate settings
 		const errors = validateSettings(payload);
 		if (errors.length > 0) {
-			showNotification(`Validation errors: ${errors.join(', ')}`, 'error');
+			showNotification(i18n('noticeValidationErrors', errors.join(', ')), 'error');
 			return;
 		}
 		
@@ -187,43 +545,479 @@ async function saveSettings() {
 			console.warn('Background script not available, settings saved locally:', error);
 		}
 		
-		showNotification('Settings saved successfully!', 'success');
+		showNotification(i18n('noticeSaved'), 'success');
 		
 	} catch (error) {
 		console.error('Failed to save settings:', error);
-		showNotification('Failed to save settings. Please try again.', 'error');
+		showNotification(i18n('noticeSaveFailed'), 'error');
 	}
 }
 
 // Enhanced reset with confirmation
 async function resetSettings() {
-	if (!confirm('Are you sure you want to reset all settings to defaults? This cannot be undone.')) {
+	if (!confirm(i18n('confirmReset'))) {
 		return;
 	}
 	
 	try {
-		populateForm(DEFAULTS);
-		await chrome.storage.local.set({ settings: DEFAULTS });
+		populateForm(DEFAULT_SETTINGS);
+		await refreshCalibrationSummary();
+		await chrome.storage.local.set({ settings: DEFAULT_SETTINGS });
 		
 		// Send to background script
 		try {
-			await chrome.runtime.sendMessage({ type: "eyeguard.settings.update", payload: DEFAULTS });
+			await chrome.runtime.sendMessage({ type: "eyeguard.settings.update", payload: DEFAULT_SETTINGS });
 		} catch (error) {
 			console.warn('Background script not available, settings reset locally:', error);
 		}
 		
-		showNotification('Settings reset to defaults!', 'success');
+		showNotification(i18n('noticeReset'), 'success');
 		
 	} catch (error) {
 		console.error('Failed to reset settings:', error);
-		showNotification('Failed to reset settings. Please try again.', 'error');
+		showNotification(i18n('noticeResetFailed'), 'error');
 	}
 }
 
 
+// Calibration wizard
+const WIZARD_SAMPLES = 15; // Frames captured per attempt
+const WIZARD_SAMPLE_DELAY_MS = 200;
+const WIZARD_PREVIEW_INTERVAL_MS = 500;
+const WIZARD_MIN_VALID_SAMPLES = 8;
+const WIZARD_OUTLIER_TOLERANCE = 0.08; // Max deviation from the median eye distance
+const WIZARD_MAX_VARIATION = 0.04; // Max coefficient of variation of the accepted samples
+
+let wizardStream = null;
+let wizardDetector = null;
+let wizardPreviewTimer = null;
+let wizardCapturing = false;
+let wizardResult = null;
+let wizardCameraKey = DEFAULT_CAMERA_KEY; // Camera the wizard is calibrating, see calibrationKey()
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Only wizard baselines are used; older automatic ones count as not calibrated
+function describeCalibration(data) {
+	if (!data || data.method !== CALIBRATION_METHOD || data.source !== 'wizard') return i18n('calibrationNotCalibrated');
+	return i18n('calibrationSummaryGuided', new Date(data.timestamp).toLocaleString(), data.calibrationDistanceCm);
+}
+
+// Summary for the camera chosen in the form
+async function refreshCalibrationSummary() {
+	try {
+		const { calibrations = {} } = await chrome.storage.local.get("calibrations");
+		const cameraKey = calibrationKey(document.getElementById("cameraDeviceId").value);
+		document.getElementById("calibrationSummary").textContent = describeCalibration(calibrations[cameraKey]);
+	} catch (error) {
+		console.error('Failed to load calibration data:', error);
+	}
+}
+
+function getCalibrationDistance() {
+	const value = Number(document.getElementById("calibrationDistanceCm").value);
+	const rule = VALIDATION_RULES.calibrationDistanceCm;
+	return value >= rule.min && value <= rule.max ? value : DEFAULT_SETTINGS.calibrationDistanceCm;
+}
+
+function setWizardStep(step, message) {
+	document.getElementById("wizardStep").textContent = step;
+	document.getElementById("wizardMessage").textContent = message;
+}
+
+function setWizardButtons({ capture, captureLabel = i18n('buttonCapture'), save }) {
+	const captureBtn = document.getElementById("wizardCapture");
+	captureBtn.disabled = !capture;
+	captureBtn.textContent = captureLabel;
+	document.getElementById("wizardSave").hidden = !save;
+}
+
+async function openCalibrationWizard() {
+	if (wizardStream) return;
+	
+	// The wizard calibrates the camera chosen in the form. Its current baseline stays in use
+	// until a new one is saved, so cancelling or a failed capture leaves it untouched.
+	const camera = readCameraForm();
+	wizardCameraKey = calibrationKey(camera.cameraDeviceId);
+	
+	document.getElementById("calibrationWizard").hidden = false;
+	wizardResult = null;
+	setWizardButtons({ capture: false });
+	setWizardStep(i18n('wizardStep1'), i18n('wizardStartingCamera'));
+	
+	try {
+		wizardStream = await navigator.mediaDevices.getUserMedia({
+			video: cameraConstraints(camera),
+			audio: false
+		});
+		// Camera names become available with the permission
+		refreshCameraDevices();
+		const video = document.getElementById("calibrationPreview");
+		video.srcObject = wizardStream;
+		await video.play();
+		
+		if (!wizardDetector) {
+			setWizardStep(i18n('wizardStep1'), i18n('wizardLoadingModel'));
+			wizardDetector = await createFaceDetector();
+		}
+	} catch (error) {
+		console.error('Failed to start calibration wizard:', error);
+		closeCalibrationWizard();
+		showNotification(i18n('noticeWizardCameraFailed'), 'error');
+		return;
+	}
+	
+	setWizardStep(i18n('wizardStep1'), i18n('wizardPositionHelp', getCalibrationDistance()));
+	setWizardButtons({ capture: true });
+	runWizardPreview();
+}
+
+// Live face feedback while the user gets into position
+async function runWizardPreview() {
+	if (!wizardStream) return;
+	
+	if (!wizardCapturing) {
+		const video = document.getElementById("calibrationPreview");
+		const faceStatus = document.getElementById("wizardFaceStatus");
+		try {
+			const landmarks = await wizardDetector.detect(video);
+			faceStatus.textContent = i18n(landmarks ? 'wizardFaceDetected' : 'wizardNoFace');
+			faceStatus.style.color = landmarks ? '#10b981' : '#ef4444';
+		} catch (error) {
+			console.warn('Calibration preview failed:', error);
+		}
+	}
+	
+	wizardPreviewTimer = setTimeout(runWizardPreview, WIZARD_PREVIEW_INTERVAL_MS);
+}
+
+// Reject outliers and noisy captures; returns the baseline eye distance or an error
+function evaluateCalibrationSamples(samples) {
+	if (samples.length < WIZARD_MIN_VALID_SAMPLES) {
+		return { error: i18n('wizardErrorTooFewFrames') };
+	}
+	
+	const sorted = [...samples].sort((a, b) => a - b);
+	const median = sorted[Math.floor(sorted.length / 2)];
+	const accepted = samples.filter(value => Math.abs(value - median) / median <= WIZARD_OUTLIER_TOLERANCE);
+	
+	if (accepted.length < WIZARD_MIN_VALID_SAMPLES) {
+		return { error: i18n('wizardErrorOutliers') };
+	}
+	
+	const mean = accepted.reduce((a, b) => a + b, 0) / accepted.length;
+	const variance = accepted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / accepted.length;
+	const variation = Math.sqrt(variance) / mean;
+	
+	if (variation > WIZARD_MAX_VARIATION) {
+		return { error: i18n('wizardErrorNoisy') };
+	}
+	
+	return {
+		ipdPx: mean,
+		accepted: accepted.length,
+		rejected: WIZARD_SAMPLES - accepted.length,
+		variation
+	};
+}
+
+async function captureCalibrationSamples() {
+	if (!wizardStream || wizardCapturing) return;
+	
+	wizardCapturing = true;
+	wizardResult = null;
+	setWizardButtons({ capture: false });
+	
+	const video = document.getElementById("calibrationPreview");
+	const samples = [];
+	
+	try {
+		for (let i = 0; i < WIZARD_SAMPLES; i++) {
+			setWizardStep(i18n('wizardStep2'), i18n('wizardCapturing', i + 1, WIZARD_SAMPLES));
+			const landmarks = await wizardDetector.detect(video);
+			if (landmarks) {
+				samples.push(measureInterpupillaryDistance(landmarks, video.videoWidth, video.videoHeight));
+			}
+			await delay(WIZARD_SAMPLE_DELAY_MS);
+		}
+	} catch (error) {
+		console.error('Calibration capture failed:', error);
+	} finally {
+		wizardCapturing = false;
+	}
+	
+	const result = evaluateCalibrationSamples(samples);
+	if (result.error) {
+		setWizardStep(i18n('wizardStep2'), result.error);
+		setWizardButtons({ capture: true, captureLabel: i18n('buttonRetry') });
+		return;
+	}
+	
+	const distanceCm = getCalibrationDistance();
+	wizardResult = createCalibrationData(result.ipdPx, distanceCm, video.videoWidth, 'wizard');
+	
+	setWizardStep(i18n('wizardStep3'), i18n('wizardReview',
+		result.ipdPx.toFixed(1), distanceCm, result.accepted, result.rejected,
+		(result.variation * 100).toFixed(1), Math.round(wizardResult.focalLengthPx)));
+	setWizardButtons({ capture: true, captureLabel: i18n('buttonRetry'), save: true });
+}
+
+async function saveCalibration() {
+	if (!wizardResult) return;
+	
+	try {
+		const response = await chrome.runtime.sendMessage({
+			type: "eyeguard.storage.set.calibration",
+			cameraKey: wizardCameraKey,
+			calibrationData: wizardResult
+		});
+		if (!response?.success) {
+			throw new Error(response?.error || 'No response from background script');
+		}
+		
+		closeCalibrationWizard();
+		await refreshCalibrationSummary();
+		showNotification(i18n('noticeCalibrationSaved'), 'success');
+		
+	} catch (error) {
+		console.error('Failed to save calibration:', error);
+		showNotification(i18n('noticeCalibrationSaveFailed'), 'error');
+	}
+}
+
+// Drop the chosen camera's baseline; distance warnings stay off until the wizard is run again
+async function resetCalibration() {
+	if (!confirm(i18n('confirmResetCalibration'))) {
+		return;
+	}
+	
+	try {
+		const cameraKey = calibrationKey(document.getElementById("cameraDeviceId").value);
+		await chrome.runtime.sendMessage({ type: "eyeguard.proximity.reset", cameraKey });
+		await refreshCalibrationSummary();
+		showNotification(i18n('noticeCalibrationReset'), 'success');
+	} catch (error) {
+		console.error('Failed to reset calibration:', error);
+		showNotification(i18n('noticeCalibrationResetFailed'), 'error');
+	}
+}
+
+function closeCalibrationWizard() {
+	if (wizardPreviewTimer) {
+		clearTimeout(wizardPreviewTimer);
+		wizardPreviewTimer = null;
+	}
+	if (wizardStream) {
+		wizardStream.getTracks().forEach(t => t.stop());
+		wizardStream = null;
+	}
+	document.getElementById("calibrationPreview").srcObject = null;
+	document.getElementById("wizardFaceStatus").textContent = '';
+	document.getElementById("calibrationWizard").hidden = true;
+	wizardResult = null;
+}
+
+// Backup export/import
+const BACKUP_FORMAT = 'eyeguard-backup';
+const BACKUP_VERSION = 2; // Version 2 keeps a calibration per camera
+
+function downloadFile(filename, content, mimeType) {
+	const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportBackup() {
+	try {
+		const { settings, calibrations = {} } = await chrome.storage.local.get(["settings", "calibrations"]);
+		const backup = {
+			format: BACKUP_FORMAT,
+			version: BACKUP_VERSION,
+			exportedAt: new Date().toISOString(),
+			settings: { ...DEFAULT_SETTINGS, ...settings },
+			calibrations,
+			history: await getHistory()
+		};
+		downloadFile(`eyeguard-backup-${dayKey(Date.now())}.json`, JSON.stringify(backup, null, 2), 'application/json');
+		showNotification(i18n('noticeBackupExported'), 'success');
+	} catch (error) {
+		console.error('Failed to export backup:', error);
+		showNotification(i18n('noticeBackupExportFailed'), 'error');
+	}
+}
+
+// Only known keys with the default's type are accepted, then the usual range checks apply
+function validateImportedSettings(imported) {
+	if (!imported || typeof imported !== 'object') {
+		return { errors: [i18n('errorBackupNoSettings')] };
+	}
+	
+	const settings = { ...DEFAULT_SETTINGS };
+	const errors = [];
+	for (const key of Object.keys(DEFAULT_SETTINGS)) {
+		if (!(key in imported)) continue;
+		if (typeof imported[key] !== typeof DEFAULT_SETTINGS[key]) {
+			errors.push(i18n('errorSettingInvalid', key));
+			continue;
+		}
+		settings[key] = imported[key];
+	}
+	
+	return { settings, errors: errors.concat(validateSettings(settings)) };
+}
+
+function validateImportedCalibration(data) {
+	if (!data) return null;
+	const valid = data.method === CALIBRATION_METHOD &&
+		Number.isFinite(data.focalLengthPx) && data.focalLengthPx > 0 &&
+		Number.isFinite(data.frameWidth) && data.frameWidth > 0;
+	return valid ? data : null;
+}
+
+// Valid baselines by camera key; version 1 backups hold one baseline, taken with the default camera
+function validateImportedCalibrations(backup) {
+	const imported = backup.version < 2
+		? { [DEFAULT_CAMERA_KEY]: backup.calibrationData }
+		: backup.calibrations;
+	if (!imported || typeof imported !== 'object') return {};
+	return Object.fromEntries(Object.entries(imported)
+		.map(([cameraKey, data]) => [cameraKey, validateImportedCalibration(data)])
+		.filter(([, data]) => data));
+}
+
+// Only the parts the backup actually contains, in the right shape; missing ones keep what is stored
+function validateImportedHistory(history) {
+	const imported = {};
+	if (Array.isArray(history?.events)) {
+		imported.history = history.events.filter(e => e && typeof e.type === 'string' && Number.isFinite(e.timestamp));
+	}
+	const screenTime = history?.screenTime;
+	if (screenTime && typeof screenTime === 'object' && !Array.isArray(screenTime)) {
+		imported.screenTime = Object.fromEntries(Object.entries(screenTime)
+			.filter(([day, minutes]) => /^\d{4}-\d{2}-\d{2}$/.test(day) && Number.isFinite(minutes)));
+	}
+	return imported;
+}
+
+async function importBackup(file) {
+	try {
+		let backup;
+		try {
+			backup = JSON.parse(await file.text());
+		} catch (error) {
+			showNotification(i18n('noticeImportNotJson'), 'error');
+			return;
+		}
+		
+		if (backup?.format !== BACKUP_FORMAT || !Number.isInteger(backup.version)) {
+			showNotification(i18n('noticeImportNotBackup'), 'error');
+			return;
+		}
+		if (backup.version > BACKUP_VERSION) {
+			showNotification(i18n('noticeImportNewerVersion'), 'error');
+			return;
+		}
+		
+		const { settings, errors } = validateImportedSettings(backup.settings);
+		if (errors.length > 0) {
+			showNotification(i18n('noticeImportInvalid', errors.join(', ')), 'error');
+			return;
+		}
+		
+		const calibrations = validateImportedCalibrations(backup);
+		const calibrationCount = Object.keys(calibrations).length;
+		const history = validateImportedHistory(backup.history);
+		
+		await chrome.storage.local.set({ settings, ...history });
+		
+		// Send to background script
+		try {
+			await chrome.runtime.sendMessage({ type: "eyeguard.settings.update", payload: settings });
+			for (const [cameraKey, calibrationData] of Object.entries(calibrations)) {
+				await chrome.runtime.sendMessage({ type: "eyeguard.storage.set.calibration", cameraKey, calibrationData });
+			}
+		} catch (error) {
+			console.warn('Background script not available, backup restored locally:', error);
+			if (calibrationCount > 0) {
+				const { calibrations: stored = {} } = await chrome.storage.local.get("calibrations");
+				await chrome.storage.local.set({ calibrations: { ...stored, ...calibrations } });
+			}
+		}
+		
+		populateForm(settings);
+		await refreshCalibrationSummary();
+		const hadCalibration = backup.version < 2 ? !!backup.calibrationData : Object.keys(backup.calibrations || {}).length > 0;
+		showNotification(calibrationCount > 0 || !hadCalibration
+			? i18n('noticeBackupImported')
+			: i18n('noticeBackupImportedWithoutCalibration'), 'success');
+		
+	} catch (error) {
+		console.error('Failed to import backup:', error);
+		showNotification(i18n('noticeImportFailed'), 'error');
+	}
+}
+
+function csvField(value) {
+	const text = value === undefined || value === null ? '' : String(value);
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function exportHistoryCsv() {
+	try {
+		const { events } = await getHistory();
+		const rows = [['timestamp', 'date', 'time', 'event', 'break_kind', 'distance_cm', 'min_distance_cm', 'blinks_per_minute']];
+		for (const event of events) {
+			const date = new Date(event.timestamp);
+			rows.push([
+				date.toISOString(),
+				dayKey(event.timestamp),
+				date.toLocaleTimeString(),
+				event.type,
+				event.kind,
+				event.distanceCm,
+				event.minDistanceCm,
+				event.blinksPerMinute
+			]);
+		}
+		const csv = rows.map(row => row.map(csvField).join(',')).join('\n');
+		downloadFile(`eyeguard-history-${dayKey(Date.now())}.csv`, csv, 'text/csv');
+		showNotification(i18nPlural('noticeHistoryExported', events.length), 'success');
+	} catch (error) {
+		console.error('Failed to export history:', error);
+		showNotification(i18n('noticeHistoryExportFailed'), 'error');
+	}
+}
+
 // Event listeners
 document.getElementById("save").addEventListener("click", saveSettings);
 document.getElementById("reset").addEventListener("click", resetSettings);
+document.getElementById("recalibrate").addEventListener("click", openCalibrationWizard);
+document.getElementById("resetCalibration").addEventListener("click", resetCalibration);
+document.getElementById("wizardCapture").addEventListener("click", captureCalibrationSamples);
+document.getElementById("wizardSave").addEventListener("click", saveCalibration);
+document.getElementById("wizardCancel").addEventListener("click", closeCalibrationWizard);
+document.getElementById("addOffDay").addEventListener("click", () => addOffDay(document.getElementById("offDayDate").value));
+document.getElementById("offToday").addEventListener("click", () => addOffDay(dayKey(Date.now())));
+document.getElementById("addSiteRule").addEventListener("click", () => {
+	siteRulesDraft.push({ pattern: "", mode: SITE_RULE_MODES.BANNER });
+	renderSiteRules();
+});
+document.getElementById("cameraDeviceId").addEventListener("change", refreshCalibrationSummary);
+navigator.mediaDevices.addEventListener("devicechange", refreshCameraDevices);
+document.getElementById("exportBackup").addEventListener("click", exportBackup);
+document.getElementById("exportCsv").addEventListener("click", exportHistoryCsv);
+document.getElementById("importBackup").addEventListener("click", () => document.getElementById("importFile").click());
+document.getElementById("importFile").addEventListener("change", async (e) => {
+	const [file] = e.target.files;
+	if (file) await importBackup(file);
+	// Allow importing the same file again
+	e.target.value = '';
+});
 
 document.getElementById("grantCamera").addEventListener("click", async () => {
   try {
@@ -231,23 +1025,33 @@ document.getElementById("grantCamera").addEventListener("click", async () => {
     const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
     // Close the stream immediately; we only need to establish permission
     stream.getTracks().forEach(t => t.stop());
-    showNotification("Camera access granted!", "success");
+    showNotification(i18n("noticeCameraGranted"), "success");
+    // Camera names are only listed once access is granted
+    await refreshCameraDevices();
   } catch (e) {
     console.error("Camera prompt failed:", e);
-    showNotification("Camera access failed. Check Chrome and macOS camera permissions.", "error");
+    showNotification(i18n("noticeCameraFailed"), "error");
   }
 });
 
+localizePage();
+
+// Theme follows the saved setting, and previews while choosing
+watchTheme(theme => applyTheme(document.documentElement, theme));
+document.getElementById("theme").addEventListener("change", (e) => applyTheme(document.documentElement, e.target.value));
+
 // Initialize
 (async function init() {
 	try {
 		const settings = await loadSettings();
 		populateForm(settings);
 		setupFormValidation();
+		await refreshCameraDevices();
+		await refreshCalibrationSummary();
 		
 		console.log('Settings page initialized successfully');
 	} catch (error) {
 		console.error('Failed to initialize settings page:', error);
-		showNotification('Failed to load settings page. Please refresh.', 'error');
+		showNotification(i18n('noticePageLoadFailed'), 'error');
 	}
 })();
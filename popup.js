@@ -1,17 +1,3 @@
-const DEFAULT_SETTINGS = {
-	enabled: true,
-	proximityEnabled: true,
-	breaksEnabled: true,
-	breakIntervalMinutes: 20,
-	breakDurationSeconds: 20,
-	snoozeMinutes: 5,
-	proximitySampleSeconds: 2,
-	proximityPeriodSeconds: 30,
-	sensitivity: 1.5,
-	autoStart: true,
-	theme: "system"
-};
-
 async function getStatus() {
 	try {
 		// Try to get status from background script
@@ -30,13 +16,19 @@ async function getStatus() {
 		
 		// Fallback: Calculate status from storage directly
 		try {
-			const { activeMinutes = 0, settings = DEFAULT_SETTINGS } = await chrome.storage.local.get(["activeMinutes", "settings"]);
-			const minutesRemaining = Math.max(settings.breakIntervalMinutes - activeMinutes, 0);
+			const { breakState = null, settings: stored, proximityReading = null, samplingStatus = null, cameraPausedUntil = 0 } =
+				await chrome.storage.local.get(["breakState", "settings", "proximityReading", "samplingStatus", "cameraPausedUntil"]);
+			const settings = { ...DEFAULT_SETTINGS, ...stored };
+			const msRemaining = breakState ? msUntilBreak(breakState, settings, Date.now()) : settings.breakIntervalMinutes * 60000;
 			
 			const fallbackResponse = {
-				activeMinutes,
-				minutesRemaining,
-				isBreakInProgress: false,
+				activeMinutes: Math.floor((settings.breakIntervalMinutes * 60000 - msRemaining) / 60000),
+				minutesRemaining: Math.ceil(msRemaining / 60000),
+				isBreakInProgress: breakState?.status === "on-break",
+				breakState,
+				proximityReading,
+				samplingStatus,
+				cameraPausedUntil,
 				settings
 			};
 			
@@ -49,6 +41,8 @@ async function getStatus() {
 				activeMinutes: 0,
 				minutesRemaining: 20,
 				isBreakInProgress: false,
+				breakState: null,
+				proximityReading: null,
 				settings: DEFAULT_SETTINGS
 			};
 			console.log('Popup: Using default status:', defaultResponse);
@@ -94,7 +88,14 @@ function wireToggles(settings) {
 			} catch (error) {
 				console.log('Popup: Background script unavailable, using fallback for break');
 				// Fallback: Reset the timer locally
-				await chrome.storage.local.set({ activeMinutes: 0 });
+				const { breakState } = await chrome.storage.local.get("breakState");
+				const now = Date.now();
+				await chrome.storage.local.set({ breakState: {
+					...breakState,
+					accumulatedActiveMs: 0,
+					workStartedAt: now,
+					nextBreakDueAt: now + (settings?.breakIntervalMinutes ?? 20) * 60000
+				} });
 				console.log('Popup: Reset timer via fallback');
 			}
 			
@@ -105,6 +106,44 @@ function wireToggles(settings) {
 		}
 	});
 
+	document.getElementById("btn-off-today").addEventListener("click", async () => {
+		try {
+			const { settings: stored } = await chrome.storage.local.get("settings");
+			const offDays = stored?.scheduleOffDays || [];
+			const today = dayKey(Date.now());
+			if (!offDays.includes(today)) {
+				await chrome.runtime.sendMessage({ type: "eyeguard.settings.update", payload: { scheduleOffDays: [...offDays, today] } });
+			}
+		} catch (error) {
+			console.error('Failed to take the day off:', error);
+		}
+	});
+
+	document.getElementById("btn-camera-off").addEventListener("click", async () => {
+		try {
+			const hours = Number(document.getElementById("camera-pause-hours").value);
+			await chrome.runtime.sendMessage({ type: "eyeguard.camera.pause", hours });
+		} catch (error) {
+			console.error('Failed to turn the camera off:', error);
+		}
+	});
+
+	document.getElementById("btn-camera-on").addEventListener("click", async () => {
+		try {
+			await chrome.runtime.sendMessage({ type: "eyeguard.camera.resume" });
+		} catch (error) {
+			console.error('Failed to turn the camera back on:', error);
+		}
+	});
+
+	document.getElementById("btn-stats").addEventListener("click", () => {
+		try {
+			chrome.tabs.create({ url: chrome.runtime.getURL("dashboard.html") });
+		} catch (error) {
+			console.error('Failed to open statistics page:', error);
+		}
+	});
+
 	document.getElementById("btn-settings").addEventListener("click", () => {
 		try {
 			chrome.runtime.openOptionsPage();
@@ -114,21 +153,171 @@ function wireToggles(settings) {
 	});
 }
 
-function updateTimerDisplay(minutesRemaining) {
-	const displayText = minutesRemaining !== undefined && minutesRemaining !== null 
-		? `${minutesRemaining} min` 
-		: "-- min";
-	document.getElementById("next-break").innerText = `Next break in ${displayText}`;
+// Latest status, kept current from storage changes so the countdown needs no polling
+let currentStatus = null;
+
+// Active time left before the next break of a kind, frozen while counting is paused
+function msUntilBreak(breakState, settings, now, kind = "micro") {
+	const isLong = kind === "long";
+	const dueAt = isLong ? breakState.nextLongBreakDueAt : breakState.nextBreakDueAt;
+	if (dueAt) return Math.max(dueAt - now, 0);
+	const intervalMs = (isLong ? settings.longBreakIntervalMinutes : settings.breakIntervalMinutes) * 60000;
+	const accumulated = (isLong ? breakState.longAccumulatedActiveMs : breakState.accumulatedActiveMs) || 0;
+	return Math.max(intervalMs - accumulated, 0);
 }
 
-async function refreshStatus() {
-	try {
-		const status = await getStatus();
-		console.log('Popup: Refreshed status:', status);
-		updateTimerDisplay(status?.minutesRemaining);
-	} catch (error) {
-		console.error('Failed to refresh status:', error);
+function formatCountdown(ms) {
+	const totalSeconds = Math.ceil(ms / 1000);
+	const hours = Math.floor(totalSeconds / 3600);
+	const minutes = Math.floor((totalSeconds % 3600) / 60);
+	const seconds = String(totalSeconds % 60).padStart(2, "0");
+	return hours > 0
+		? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+		: `${minutes}:${seconds}`;
+}
+
+function formatResumeTime(timestamp, now) {
+	const time = new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+	if (dayKey(timestamp) === dayKey(now)) return i18n("statusResumesToday", time);
+	return i18n("statusResumesOnDay", new Date(timestamp).toLocaleDateString([], { weekday: "short" }), time);
+}
+
+// Shown after "Break due, deferred ..." while a reminder is held back
+const DEFER_REASON_LABELS = {
+	site: i18n("deferReasonSite"),
+	call: i18n("deferReasonCall"),
+	fullscreen: i18n("deferReasonFullscreen"),
+	video: i18n("deferReasonVideo")
+};
+
+function describeBreakState(breakState, settings, now) {
+	switch (breakState?.status) {
+		case "paused": {
+			if (breakState.pausedReason !== "schedule") return i18n("statusPaused");
+			const resumesAt = nextScheduleChange(settings, now);
+			return resumesAt
+				? i18n("statusOutsideHoursResumes", formatResumeTime(resumesAt, now))
+				: i18n("statusOutsideHours");
+		}
+		case "on-break":
+			return i18n(breakState.breakKind === "long" ? "statusOnLongBreak" : "statusOnBreak");
+		case "reminder-pending": {
+			const isLong = breakState.breakKind === "long";
+			const reason = DEFER_REASON_LABELS[breakState.deferredReason];
+			if (reason) return i18n(isLong ? "statusLongBreakDeferred" : "statusBreakDeferred", reason);
+			return i18n(isLong ? "statusLongBreakDue" : "statusBreakDue");
+		}
+		case "snoozed":
+			return i18n("statusSnoozed", formatCountdown(Math.max(breakState.snoozedUntil - now, 0)));
+		case "working": {
+			const countdown = formatCountdown(msUntilBreak(breakState, settings, now));
+			return i18n(breakState.nextBreakDueAt ? "statusNextBreak" : "statusNextBreakIdle", countdown);
+		}
+		default:
+			return i18n("statusNextBreak", "--:--");
+	}
+}
+
+function describeLongBreak(breakState, settings, now) {
+	if (!breakState || !settings.longBreaksEnabled || breakState.status === "paused") return "";
+	return i18n("statusNextLongBreak", formatCountdown(msUntilBreak(breakState, settings, now, "long")));
+}
+
+function updateTimerDisplay() {
+	const settings = { ...DEFAULT_SETTINGS, ...currentStatus?.settings };
+	const now = Date.now();
+	document.getElementById("next-break").innerText = describeBreakState(currentStatus?.breakState, settings, now);
+	
+	const longBreak = describeLongBreak(currentStatus?.breakState, settings, now);
+	const longBreakEl = document.getElementById("next-long-break");
+	longBreakEl.innerText = longBreak;
+	longBreakEl.hidden = !longBreak;
+	
+	// Offer a day off only while the schedule is running and today is not already off
+	const offToday = !settings.scheduleEnabled || (settings.scheduleOffDays || []).includes(dayKey(now));
+	document.getElementById("btn-off-today").hidden = offToday;
+	document.getElementById("btn-off-today-gap").hidden = offToday;
+}
+
+// Readings older than this are treated as unknown (camera off, no face, etc.)
+const READING_MAX_AGE_MS = 2 * 60 * 1000;
+
+function updateDistanceDisplay(reading) {
+	const el = document.getElementById("distance-status");
+	if (!reading || Date.now() - reading.timestamp > READING_MAX_AGE_MS) {
+		el.innerText = "--";
+		el.style.color = "";
+		return;
 	}
+	el.innerText = reading.isTooClose
+		? i18n("distanceTooClose", reading.distanceCm, reading.minDistanceCm)
+		: i18n("distanceReading", reading.distanceCm);
+	el.style.color = reading.isTooClose ? "var(--eg-danger)" : "";
+}
+
+// Why the offscreen document samples at its current rate
+const SAMPLING_REASON_LABELS = {
+	"near-threshold": i18n("samplingReasonNearThreshold"),
+	"safe": i18n("samplingReasonSafe"),
+	"no-face": i18n("samplingReasonNoFace"),
+	"uncalibrated": i18n("samplingReasonUncalibrated"),
+	"starting": i18n("samplingReasonStarting"),
+	"idle": i18n("samplingReasonIdle"),
+	"locked": i18n("samplingReasonLocked"),
+	"disabled": i18n("samplingReasonDisabled"),
+	"camera-error": i18n("samplingReasonCameraError")
+};
+
+function updateSamplingDisplay(samplingStatus) {
+	const el = document.getElementById("sampling-status");
+	if (!samplingStatus) {
+		el.innerText = "--";
+		return;
+	}
+	const reason = SAMPLING_REASON_LABELS[samplingStatus.reason] || samplingStatus.reason;
+	el.innerText = samplingStatus.intervalMs
+		? i18n("samplingEvery", samplingStatus.intervalMs / 1000, reason)
+		: i18n("samplingPaused", reason);
+}
+
+// Choices for "camera off for N hours"
+const CAMERA_PAUSE_HOURS = [1, 2, 4, 8];
+
+function renderCameraPauseChoices() {
+	const select = document.getElementById("camera-pause-hours");
+	for (const hours of CAMERA_PAUSE_HOURS) {
+		select.appendChild(new Option(i18nPlural("hours", hours), hours));
+	}
+}
+
+// Either the "camera off for" control or when a running pause ends
+function updateCameraPauseDisplay(cameraPausedUntil) {
+	const now = Date.now();
+	const paused = cameraPausedUntil > now;
+	document.getElementById("camera-pause-controls").hidden = paused;
+	document.getElementById("camera-paused").hidden = !paused;
+	document.getElementById("camera-paused-status").innerText = paused
+		? i18n("cameraPausedStatus", formatResumeTime(cameraPausedUntil, now))
+		: "";
+}
+
+// Keep the popup in sync with the background script without polling
+function watchStatus() {
+	chrome.storage.onChanged.addListener((changes, area) => {
+		if (area !== "local" || !currentStatus) return;
+		if (changes.breakState) currentStatus.breakState = changes.breakState.newValue;
+		if (changes.settings) currentStatus.settings = changes.settings.newValue;
+		if (changes.proximityReading) {
+			currentStatus.proximityReading = changes.proximityReading.newValue;
+			updateDistanceDisplay(currentStatus.proximityReading);
+		}
+		if (changes.samplingStatus) updateSamplingDisplay(changes.samplingStatus.newValue);
+		if (changes.cameraPausedUntil) {
+			currentStatus.cameraPausedUntil = changes.cameraPausedUntil.newValue || 0;
+			updateCameraPauseDisplay(currentStatus.cameraPausedUntil);
+		}
+		updateTimerDisplay();
+	});
 }
 
 async function init() {
@@ -140,19 +329,28 @@ async function init() {
 		setToggle("toggle-proximity", status?.settings?.proximityEnabled);
 		setToggle("toggle-breaks", status?.settings?.breaksEnabled);
 		
-		// Better error handling for minutesRemaining
-		updateTimerDisplay(status?.minutesRemaining);
+		currentStatus = status;
+		updateTimerDisplay();
+		updateDistanceDisplay(status?.proximityReading);
+		updateSamplingDisplay(status?.samplingStatus);
+		renderCameraPauseChoices();
+		updateCameraPauseDisplay(status?.cameraPausedUntil || 0);
 		
 		wireToggles(status?.settings || {});
 		
-		// Set up periodic refresh every 30 seconds
-		setInterval(refreshStatus, 30000);
+		// Tick the countdown locally every second
+		watchStatus();
+		setInterval(updateTimerDisplay, 1000);
 		console.log('Popup: Initialization complete');
 	} catch (error) {
 		console.error('Failed to initialize popup:', error);
 		// Set a fallback display
-		updateTimerDisplay(null);
+		updateTimerDisplay();
 	}
 }
 
-document.addEventListener("DOMContentLoaded", init); 
\ No newline at end of file
+watchTheme(theme => applyTheme(document.documentElement, theme));
+document.addEventListener("DOMContentLoaded", () => {
+	localizePage();
+	init();
+}); 
\ No newline at end of file
@@ -0,0 +1,93 @@
+// EyeGuard Working-Hours Schedule
+// Decides whether reminders and camera sampling should run at a given time.
+// Loaded by the background service worker (importScripts), the popup, the options page and the offscreen document.
+// Requires history.js for dayKey() and i18n.js for validation messages.
+
+const SCHEDULE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SCHEDULE_LOOKAHEAD_DAYS = 8; // How far ahead to search for the next window
+
+const DEFAULT_SCHEDULE = {
+    sun: [],
+    mon: [{ start: '09:00', end: '17:00' }],
+    tue: [{ start: '09:00', end: '17:00' }],
+    wed: [{ start: '09:00', end: '17:00' }],
+    thu: [{ start: '09:00', end: '17:00' }],
+    fri: [{ start: '09:00', end: '17:00' }],
+    sat: []
+};
+
+// "09:30" -> 570 minutes after midnight, or NaN
+function parseScheduleTime(value) {
+    const match = /^(\d{2}):(\d{2})$/.exec(value);
+    if (!match) return NaN;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : NaN;
+}
+
+// Working windows of the calendar day containing `timestamp`, as [start, end) timestamps
+function scheduleWindowsForDay(settings, timestamp) {
+    if ((settings.scheduleOffDays || []).includes(dayKey(timestamp))) return [];
+    
+    const midnight = new Date(timestamp);
+    midnight.setHours(0, 0, 0, 0);
+    const ranges = (settings.schedule || DEFAULT_SCHEDULE)[SCHEDULE_DAYS[midnight.getDay()]] || [];
+    
+    const at = (minutes) => {
+        const date = new Date(midnight);
+        date.setHours(0, minutes, 0, 0);
+        return date.getTime();
+    };
+    return ranges.map(range => ({ start: at(parseScheduleTime(range.start)), end: at(parseScheduleTime(range.end)) }));
+}
+
+// Whether EyeGuard should be active at `now`; always true with the schedule off
+function isWithinSchedule(settings, now = Date.now()) {
+    if (!settings.scheduleEnabled) return true;
+    return scheduleWindowsForDay(settings, now).some(window => now >= window.start && now < window.end);
+}
+
+// Next time the schedule switches on or off after `now`, or null if it never does
+function nextScheduleChange(settings, now = Date.now()) {
+    if (!settings.scheduleEnabled) return null;
+    
+    for (let i = 0; i < SCHEDULE_LOOKAHEAD_DAYS; i++) {
+        const day = new Date(now);
+        day.setDate(day.getDate() + i);
+        const boundaries = scheduleWindowsForDay(settings, day.getTime())
+            .flatMap(window => [window.start, window.end])
+            .filter(time => time > now)
+            .sort((a, b) => a - b);
+        if (boundaries.length > 0) return boundaries[0];
+    }
+    return null;
+}
+
+// Structural and range checks for a schedule object; returns a list of error messages
+function validateSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') return [i18n('errorScheduleMissing')];
+    
+    const errors = [];
+    for (const day of SCHEDULE_DAYS) {
+        const ranges = schedule[day];
+        if (!Array.isArray(ranges)) {
+            errors.push(i18n('errorScheduleDayInvalid', i18n(`day_${day}`)));
+            continue;
+        }
+        
+        const parsed = ranges.map(range => ({
+            start: parseScheduleTime(range?.start),
+            end: parseScheduleTime(range?.end)
+        }));
+        if (parsed.some(range => Number.isNaN(range.start) || Number.isNaN(range.end) || range.start >= range.end)) {
+            errors.push(i18n('errorScheduleRange', i18n(`day_${day}`)));
+            continue;
+        }
+        
+        parsed.sort((a, b) => a.start - b.start);
+        if (parsed.some((range, i) => i > 0 && range.start < parsed[i - 1].end)) {
+            errors.push(i18n('errorScheduleOverlap', i18n(`day_${day}`)));
+        }
+    }
+    return errors;
+}
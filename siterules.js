@@ -0,0 +1,72 @@
+// EyeGuard Site Rules
+// Per-site choice of how reminders appear: full overlay, small banner, or nothing with the break deferred.
+// Loaded by the background service worker (importScripts), the content script and the options page.
+// Validation messages need i18n.js.
+
+const SITE_RULE_MODES = {
+    OVERLAY: 'overlay', // Full-screen break overlay (default everywhere)
+    BANNER: 'banner',   // Small corner banner instead of the overlay
+    DEFER: 'defer'      // No EyeGuard UI; breaks wait until you leave the site
+};
+
+const SITE_RULE_PATTERN_MAX_LENGTH = 200;
+
+// "https://Meet.Google.com/" -> "meet.google.com"
+function normalizeSitePattern(pattern) {
+    return String(pattern || '').trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/\/$/, '');
+}
+
+// Glob pattern to an anchored RegExp; "*" matches any run of characters
+function sitePatternToRegExp(pattern) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+// Patterns are matched against the host, or against host + path when they contain a "/".
+// A bare domain such as "zoom.us" also matches its subdomains.
+function matchesSitePattern(pattern, url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return false;
+    
+    const normalized = normalizeSitePattern(pattern);
+    if (!normalized) return false;
+    
+    const host = parsed.hostname.toLowerCase();
+    if (!normalized.includes('/') && !normalized.includes('*')) {
+        return host === normalized || host.endsWith(`.${normalized}`);
+    }
+    const target = normalized.includes('/') ? host + parsed.pathname.toLowerCase() : host;
+    return sitePatternToRegExp(normalized).test(target);
+}
+
+// First matching rule wins, so more specific rules belong at the top of the list
+function findSiteRule(rules, url) {
+    return (rules || []).find(rule => matchesSitePattern(rule.pattern, url)) || null;
+}
+
+function siteModeFor(settings, url) {
+    return findSiteRule(settings.siteRules, url)?.mode || SITE_RULE_MODES.OVERLAY;
+}
+
+// Returns a list of error messages
+function validateSiteRules(rules) {
+    if (!Array.isArray(rules)) return [i18n('errorSiteRulesInvalid')];
+    
+    const modes = Object.values(SITE_RULE_MODES);
+    const errors = [];
+    rules.forEach((rule, index) => {
+        const pattern = normalizeSitePattern(rule?.pattern);
+        if (!pattern || pattern.length > SITE_RULE_PATTERN_MAX_LENGTH) {
+            errors.push(i18n('errorSiteRulePattern', index + 1, SITE_RULE_PATTERN_MAX_LENGTH));
+        }
+        if (!modes.includes(rule?.mode)) {
+            errors.push(i18n('errorSiteRuleMode', index + 1));
+        }
+    });
+    return errors;
+}
@@ -0,0 +1,84 @@
+// EyeGuard Theme
+// Light and dark palettes applied as --eg-* CSS custom properties.
+// Loaded by the popup, options and statistics pages, and as a content script before content.js.
+
+const THEME_PALETTES = {
+    light: {
+        'bg': '#f8fafc',
+        'surface': '#ffffff',
+        'surface-muted': '#f1f5f9',
+        'surface-hover': '#e2e8f0',
+        'text': '#0f172a',
+        'text-secondary': '#374151',
+        'text-muted': '#6b7280',
+        'border': '#e2e8f0',
+        'accent': '#0b8793',
+        'accent-hover': '#0a6b73',
+        'badge-bg': '#ecfeff',
+        'badge-text': '#0b8793',
+        'danger': '#e11d48',
+        'danger-hover': '#be123c',
+        'shadow': 'rgba(0, 0, 0, 0.1)'
+    },
+    dark: {
+        'bg': '#0b1220',
+        'surface': '#111827',
+        'surface-muted': '#1f2937',
+        'surface-hover': '#374151',
+        'text': '#e2e8f0',
+        'text-secondary': '#cbd5e1',
+        'text-muted': '#94a3b8',
+        'border': '#334155',
+        'accent': '#0f9fac',
+        'accent-hover': '#0b8793',
+        'badge-bg': '#083344',
+        'badge-text': '#67e8f9',
+        'danger': '#fb7185',
+        'danger-hover': '#e11d48',
+        'shadow': 'rgba(0, 0, 0, 0.5)'
+    }
+};
+
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+// "system" (Auto) follows the operating system's colour scheme
+function resolveTheme(theme) {
+    if (theme === 'light' || theme === 'dark') return theme;
+    return window.matchMedia(DARK_SCHEME_QUERY).matches ? 'dark' : 'light';
+}
+
+// Sets the palette on an element; descendants, including shadow trees, inherit it
+function applyTheme(element, theme) {
+    const resolved = resolveTheme(theme);
+    for (const [name, value] of Object.entries(THEME_PALETTES[resolved])) {
+        element.style.setProperty(`--eg-${name}`, value);
+    }
+    // Native form controls and scrollbars follow along
+    element.style.colorScheme = resolved;
+    return resolved;
+}
+
+// Calls onChange(theme) with the stored theme, then whenever the setting or the system scheme changes
+function watchTheme(onChange) {
+    let current = 'system';
+    onChange(current);
+    
+    chrome.storage.local.get('settings').then(({ settings }) => {
+        current = settings?.theme || 'system';
+        onChange(current);
+    }).catch((error) => {
+        console.error('EyeGuard: Failed to load theme:', error);
+    });
+    
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local' || !changes.settings) return;
+        const theme = changes.settings.newValue?.theme || 'system';
+        if (theme === current) return;
+        current = theme;
+        onChange(current);
+    });
+    
+    window.matchMedia(DARK_SCHEME_QUERY).addEventListener('change', () => {
+        if (current === 'system') onChange(current);
+    });
+}